@@ -0,0 +1,185 @@
+/**
+ * htmx-r State Inspector
+ * Development overlay for htmx-r state. Load it after htmx-r.js; pages that
+ * don't include it don't pay for it.
+ *
+ * Usage:
+ *   <script src="js/htmx-r-debug.js" defer></script>
+ *   htmxR.debug(true)    // open (or add ?htmxr-debug to the URL)
+ *   htmxR.debug(false)   // close
+ *
+ * The panel:
+ *   - lists every state container with its current values (editable inline;
+ *     computed keys are shown read-only)
+ *   - keeps a live timeline of htmx-r:state-change events with the source
+ *     element and what triggered the change (detail.trigger)
+ *   - outlines the data-when / data-class-when / data-state-text / data-bind-*
+ *     elements a key drives while its row is hovered
+ */
+
+const HtmxRDebug = {
+  timelineLimit: 50,
+  _panel: null,
+  _timeline: [],
+  _renderQueued: false,
+
+  /**
+   * Open (true) or close (false) the overlay
+   * @param {boolean} enabled
+   */
+  toggle(enabled) {
+    if (!enabled) {
+      if (this._panel) this._panel.remove();
+      this._panel = null;
+      return;
+    }
+    if (this._panel || !document.body) return;
+
+    this._injectStyles();
+    this._panel = this._node('div', 'htmxr-debug');
+    this._panel.appendChild(this._node('h4', null, 'State'));
+    this._panel.appendChild(this._node('div', 'htmxr-debug-states'));
+    this._panel.appendChild(this._node('h4', null, 'Timeline'));
+    this._panel.appendChild(this._node('div', 'htmxr-debug-timeline'));
+    document.body.appendChild(this._panel);
+    this._render();
+  },
+
+  // Internal: open when the page URL has ?htmxr-debug
+  _openFromURL() {
+    if (new URLSearchParams(window.location.search).has('htmxr-debug')) this.toggle(true);
+  },
+
+  // Internal: add a state-change to the timeline
+  _record(e) {
+    if (!this._panel) return;
+    const detail = e.detail;
+    this._timeline.unshift({
+      time: new Date().toLocaleTimeString(),
+      path: this._describeElement(e.target) + ' ' + detail.path,
+      value: String(detail.value),
+      source: this._describeElement(detail.element),
+      trigger: this._describeTrigger(detail),
+    });
+    this._timeline.length = Math.min(this._timeline.length, this.timelineLimit);
+    this._queueRender();
+  },
+
+  // Internal: short label for an element: tag#id.class
+  _describeElement(el) {
+    if (!el || !el.tagName) return '(none)';
+    let label = el.tagName.toLowerCase();
+    if (el.id) label += '#' + el.id;
+    if (typeof el.className === 'string' && el.className.trim()) {
+      label += '.' + el.className.trim().split(/\s+/).join('.');
+    }
+    return label;
+  },
+
+  // Internal: the htmx-r attribute on the source element plus what caused the change
+  _describeTrigger(detail) {
+    if (detail.origin === 'remote') return 'other tab';
+    if (detail.trigger === 'computed' || detail.trigger === 'validity') return detail.trigger;
+    const element = detail.element;
+    const attr = element && element.attributes && Array.from(element.attributes).find(a =>
+      /^(hx-state-|data-key-nav$|data-state-value$)/.test(a.name));
+    const label = attr ? attr.name : 'script';
+    return detail.trigger ? `${label} (${detail.trigger})` : label;
+  },
+
+  _node(tag, className, text) {
+    const node = document.createElement(tag);
+    if (className) node.className = className;
+    if (text !== undefined) node.textContent = text;
+    return node;
+  },
+
+  _renderStates(section) {
+    section.textContent = '';
+    htmxR._inspect.containers().forEach(container => {
+      if (this._panel.contains(container)) return;
+      const block = this._node('div', 'htmxr-debug-container');
+      block.appendChild(this._node('div', 'htmxr-debug-label', this._describeElement(container)));
+
+      Object.keys(htmxR.getAll(container)).forEach(key => {
+        const computed = container.hasAttribute('data-state-computed-' + key);
+        const driven = htmxR._inspect.drivenElements(container, key);
+        const row = this._node('label', 'htmxr-debug-row');
+        row.appendChild(this._node('span', 'htmxr-debug-key', key + (computed ? ' ƒ' : '')));
+
+        const input = this._node('input');
+        input.value = container.getAttribute('data-state-' + key);
+        input.readOnly = computed;
+        input.addEventListener('change', () => htmxR.setState(container, key, input.value));
+        row.appendChild(input);
+        row.appendChild(this._node('span', 'htmxr-debug-count', driven.length + ' bound'));
+
+        row.addEventListener('mouseenter', () => {
+          driven.forEach(el => el.classList.add('htmxr-debug-highlight'));
+        });
+        row.addEventListener('mouseleave', () => {
+          driven.forEach(el => el.classList.remove('htmxr-debug-highlight'));
+        });
+        block.appendChild(row);
+      });
+      section.appendChild(block);
+    });
+  },
+
+  _renderTimeline(section) {
+    section.textContent = '';
+    this._timeline.forEach(entry => {
+      const row = this._node('div', 'htmxr-debug-event');
+      row.appendChild(this._node('span', 'htmxr-debug-time', entry.time));
+      row.appendChild(this._node('span', 'htmxr-debug-key', entry.path + ' = ' + entry.value));
+      row.appendChild(this._node('span', 'htmxr-debug-source', entry.source + ' · ' + entry.trigger));
+      section.appendChild(row);
+    });
+  },
+
+  _render() {
+    this._renderQueued = false;
+    if (!this._panel) return;
+
+    // Leave the values alone while one is being edited
+    const states = this._panel.querySelector('.htmxr-debug-states');
+    if (!states.contains(document.activeElement)) this._renderStates(states);
+    this._renderTimeline(this._panel.querySelector('.htmxr-debug-timeline'));
+  },
+
+  _queueRender() {
+    if (this._renderQueued) return;
+    this._renderQueued = true;
+    requestAnimationFrame(() => this._render());
+  },
+
+  _injectStyles() {
+    if (document.getElementById('htmxr-debug-styles')) return;
+    const style = document.createElement('style');
+    style.id = 'htmxr-debug-styles';
+    style.textContent = `
+      .htmxr-debug { position: fixed; right: 8px; bottom: 8px; z-index: 2147483647; width: 360px; max-height: 60vh; overflow: auto;
+        background: #1e1e1e; color: #ddd; font: 12px/1.4 ui-monospace, monospace; border-radius: 6px; padding: 8px; box-shadow: 0 4px 16px rgba(0,0,0,.4); }
+      .htmxr-debug h4 { margin: 8px 0 4px; font-size: 11px; text-transform: uppercase; color: #888; }
+      .htmxr-debug-label { color: #9cdcfe; margin-top: 6px; }
+      .htmxr-debug-row { display: flex; gap: 6px; align-items: center; padding-left: 8px; }
+      .htmxr-debug-row input { flex: 1; min-width: 0; background: #2d2d2d; color: inherit; border: 1px solid #444; font: inherit; }
+      .htmxr-debug-key { color: #ce9178; }
+      .htmxr-debug-count, .htmxr-debug-time, .htmxr-debug-source { color: #888; }
+      .htmxr-debug-event { display: flex; flex-wrap: wrap; gap: 6px; border-top: 1px solid #333; padding: 2px 0; }
+      .htmxr-debug-highlight { outline: 2px dashed #f0a !important; outline-offset: 2px; }
+    `;
+    document.head.appendChild(style);
+  },
+};
+
+document.addEventListener('htmx-r:state-change', (e) => HtmxRDebug._record(e));
+
+// ?htmxr-debug in the URL opens the overlay on load
+if (document.readyState === 'loading') {
+  document.addEventListener('DOMContentLoaded', () => HtmxRDebug._openFromURL());
+} else {
+  HtmxRDebug._openFromURL();
+}
+
+window.HtmxRDebug = HtmxRDebug;
@@ -8,6 +8,7 @@
  * Core attributes:
  *   data-state-{key}="{value}"          Declare state on a container (hx-ext="reactive")
  *   data-when="{key}:{value}"           Show element when state matches; hide otherwise
+ *   data-when="{condition}"             Same with an expression: "count > 0 && !loading"
  *   hx-state-set="{key}:{value}"        Set state to a specific value on click
  *   hx-state-toggle="{key}"             Cycle state through values on click
  *   hx-state-on-request="{key}:{value}" Set state when HTMX request begins
@@ -15,7 +16,13 @@
  *   hx-state-on-error="{key}:{value}"   Set state on HTMX error
  *   hx-state-on-swap="{key}:{value}"    Set state after HTMX DOM swap
  *   hx-state-persist="true"            Persist state to localStorage
+ *   hx-state-persist="{adapter}"        Persist via session | cookie | indexeddb | custom adapter
+ *   hx-state-persist-keys="{k1},{k2}"   Persist only these keys (default: all)
+ *   hx-state-persist-scope="{ns}"       Namespace persisted keys per container
+ *   hx-state-persist-ttl="{duration}"   Expire persisted values (e.g. 30m, 7d)
+ *   hx-state-persist-version="{v}"      Discard values persisted under another version
  *   hx-state-sync-url="{param}"         Mirror state to URL query param
+ *   hx-state-sync-url="{key}:{param}[:push], ..."  Map several keys; push adds history entries
  *   data-state-value="{key}"            Sync input value from state (state → input)
  *
  * Binding extensions (v1.1):
@@ -24,14 +31,108 @@
  *   data-state-text="{key}"             Render state value as element textContent
  *   data-class-when="{key}:{val}:{cls}" Add CSS classes when state matches; requires
  *                                       data-class-default="{cls}" for the inactive state
+ *   data-class-when="{condition} -> {cls}"  Same with a condition expression
  *
  * Interactive primitives (v1.2):
  *   hx-state-popover="{key}"            Click-to-toggle with outside-click/Escape dismiss
+ *   hx-state-popover-trap="true"        Trap focus in the open panel (ARIA + focus restore built in)
+ *   data-popover-placement="{side}[-{align}]"  Anchor a shown panel/tooltip (flip, shift, size);
+ *                                       data-popover-offset, data-popover-anchor, [data-popover-arrow]
  *   hx-state-on-hover="{key}"           Set state true on mouseenter, false on mouseleave
  *   hx-state-on-hover="{key}:{ms}"      Same with delay (ms) before showing
+ *   hx-state-hover-intent / -leave / -touch / -focus   Hover intent, leave delay, touch
+ *                                       (tap | longpress | none) and keyboard focus parity
  *   data-key-nav="{key}"                Arrow-key navigation through [data-key-nav-item] children
+ *   data-key-nav-orientation="{dir}"    vertical | horizontal | grid (typeahead built in)
+ *   data-key-nav-focus="{model}"        roving | activedescendant focus model
  *   data-transition="{preset}"          Animate data-when show/hide (fade|slide-down|slide-up|scale)
  *   data-transition-duration="{ms}"     Custom transition duration (default: 150ms)
+ *   data-transition-enter[-active|-to]  Custom classes (also -leave*); honors reduced motion
+ *
+ * Derived state (v1.3):
+ *   data-state-computed-{key}="{expr}"  Derive a key from other keys, e.g.
+ *                                       "char-count > 0 && agreed"
+ *
+ * Typed state (v1.3):
+ *   data-state-type-{key}="{type}"      number | boolean | json | enum(a|b|c) | string
+ *                                       Invalid writes are rejected with htmx-r:state-invalid
+ *
+ * Structured state (v1.3):
+ *   data-state-{key}='{"a":{"b":1}}'    JSON values; address fields as {key}.a.b in any
+ *                                       binding, setter or expression
+ *
+ * List rendering (v1.3):
+ *   data-state-each="[{alias} in ]{key}" Stamp the child <template> per JSON array entry;
+ *                                       clones read "item" (or alias) and "$index"
+ *   hx-state-push="{key}[:{value}]"     Append an entry (click, or form submit → fields)
+ *   hx-state-remove="{key}:{index}"     Remove an entry ($index inside a clone)
+ *
+ * Attribute & style bindings (v1.3):
+ *   data-bind-attr="{attr}:{expr}, ..."  Bind attributes/ARIA, e.g. "aria-expanded:menu=open"
+ *   data-bind-style="{prop}:{expr}, ..." Bind inline styles/CSS variables, e.g. "--progress:percent%"
+ *
+ * Form binding (v1.3):
+ *   hx-state-form="{key}"               Two-way bind all named form fields to a JSON key
+ *
+ * Event triggers (v1.3):
+ *   hx-state-on="{event}[{filter}] {modifiers} -> {key}:{value}, ..."
+ *                                       Any DOM/custom/htmx event sets state; modifiers:
+ *                                       once, debounce:{t}, throttle:{t}, from:{sel}, outside
+ *
+ * Timers & hotkeys (v1.3):
+ *   hx-state-after="{time} {key}:{value}"  Revert a key after it changes (e.g. "2s copied:false")
+ *   data-state-interval="{time} {key}:{expr}[ while {cond}]"  Countdowns and counters
+ *   hx-state-hotkey="{combo} -> {key}:{value}"  Global shortcuts; "mod" is Cmd on Apple, else Ctrl
+ *
+ * State machines (v1.3):
+ *   data-state-machine-{key}="{dsl}"    "a: NEXT -> b; b: BACK -> a, NEXT [guard] -> c" (or JSON
+ *                                       with entry/exit actions); illegal writes fire
+ *                                       htmx-r:transition-denied
+ *   hx-state-send="{key}:{EVENT}"       Send an event to the machine on click
+ *
+ * Form validity (v1.3):
+ *   hx-state-validity="{key}"           Form: "true"/"false"; field: JSON validity flags,
+ *                                       message, touched, dirty (server errors included)
+ *   hx-state-validate="{name}"          Custom validators (htmxR.registerValidator)
+ *
+ * Undo history (v1.3):
+ *   hx-state-history="{limit}"          Record changes; Ctrl+Z / Ctrl+Shift+Z in the container
+ *   hx-state-history-exclude="{k1},{k2}" Keys left out of history
+ *   hx-state-undo / hx-state-redo       Undo/redo triggers (optional container selector)
+ *
+ * Server-driven state (v1.3):
+ *   HX-State: {"key":"value", ...}      Response header; also HX-Trigger {"htmxR:setState": {...}}
+ *                                       Target with {"target": "{selector}" | "id": "{id}", "values": {...}}
+ *
+ * Request state (v1.3):
+ *   hx-state-include="{key}[:{name}], ..."  Send state with HTMX requests (inherited)
+ *   hx-state-include-prefix="{prefix}"   Prefix parameter/header names
+ *   hx-state-include-as="headers"       Send as request headers instead of parameters
+ *
+ * Cross-tab sync (v1.3):
+ *   hx-state-broadcast="true"           Share changes with other tabs (or list keys: "a, b")
+ *                                       htmx-r:state-change detail.origin is "local" | "remote"
+ *
+ * JavaScript API (v1.3) — window.htmxR, elements or selectors:
+ *   getState / setState / patchState    Read and write a key or dot path
+ *   subscribe(el, key, cb) → unsubscribe, batch(fn), getAll(el)
+ *   reset(el[, key])                    Back to the server-rendered value
+ *   snapshot() / restore(snapshot)      Whole-page state
+ *   undo(el) / redo(el) / transaction(fn), debug(on), registerStorage(name, adapter),
+ *   registerValidator(name, fn), send(el, key, event)
+ *
+ * Debugging (v1.3):
+ *   htmxR.debug(true) or ?htmxr-debug   State inspector (needs js/htmx-r-debug.js): containers,
+ *                                       live timeline, bound-element highlighting, inline editing
+ *   htmx-r:state-change detail.trigger  What caused a change: the DOM event type ("click",
+ *                                       "htmx:afterSwap") or "api", "server", "history", ...
+ *
+ * Upgrading to v1.3 — reserved names:
+ *   These data-state-* names now configure bindings and no longer declare a key:
+ *   data-state-text, data-state-value, data-state-each, data-state-interval and
+ *   the prefixes data-state-type-*, data-state-computed-*, data-state-machine-*.
+ *   A page that used one as a key (data-state-value="42", data-state-type-x="a")
+ *   must rename that key; a warning is logged for attributes that look like one.
  */
 
 (function() {
@@ -46,25 +147,32 @@
 
       // Handle state changes on HTMX lifecycle events
       switch(name) {
+        case 'htmx:configRequest':
+          includeStateInRequest(element, evt.detail);
+          break;
         case 'htmx:beforeRequest':
-          applyStateChange(element, 'hx-state-on-request');
+          applyStateChange(element, 'hx-state-on-request', name);
           break;
         case 'htmx:afterRequest':
-          applyStateChange(element, 'hx-state-on-response');
+          applyStateChange(element, 'hx-state-on-response', name);
+          applyStateHeader(element, evt.detail.xhr);
           break;
         case 'htmx:responseError':
+          applyServerErrors(element, evt.detail.xhr);
+          applyStateChange(element, 'hx-state-on-error', name);
+          break;
         case 'htmx:sendError':
-          applyStateChange(element, 'hx-state-on-error');
+          applyStateChange(element, 'hx-state-on-error', name);
           break;
         case 'htmx:afterSwap':
-          applyStateChange(element, 'hx-state-on-swap');
+          applyStateChange(element, 'hx-state-on-swap', name);
           break;
       }
     }
   });
 
-  // Apply state change from attribute
-  function applyStateChange(element, attrName) {
+  // Apply state change from attribute; source is the htmx event being handled
+  function applyStateChange(element, attrName, source) {
     const stateChange = element.getAttribute(attrName);
     if (!stateChange) return;
 
@@ -76,106 +184,603 @@
     const container = findStateContainer(element, key);
     if (!container) return;
 
-    // Update state attribute
-    container.setAttribute('data-state-' + key, value);
-
-    // Persist to localStorage if enabled
-    persistState(container, key, value);
+    // Update, persist, sync and notify
+    commitState(container, key, value, element, 'local', source);
+  }
 
-    // Sync to URL if enabled
-    syncToURL(container, key, value);
+  // Find closest state container (for "key.path", the container declaring key)
+  function findStateContainer(element, key) {
+    return element.closest('[data-state-' + rootKey(key) + ']');
+  }
 
-    // Dispatch custom event for state change
+  // Notify bindings of a state change. origin is "local" for changes made in
+  // this tab and "remote" for changes received from another tab; path is the
+  // dot path written when only part of a JSON value changed; source says what
+  // caused it (see commitState) and is passed on as detail.trigger.
+  function dispatchStateChange(container, key, value, element, origin, path, source) {
+    if (pendingEvents) {
+      pendingEvents.set(container, pendingEvents.get(container) || new Map());
+      var byKey = pendingEvents.get(container);
+      // Two different paths of one key in a batch report the whole key
+      var queued = byKey.get(key);
+      if (queued && (queued[5] || key) !== (path || key)) path = key;
+      byKey.set(key, [container, key, value, element, origin, path, source]);
+      return;
+    }
     container.dispatchEvent(new CustomEvent('htmx-r:state-change', {
-      detail: { key, value, element },
+      detail: { key, value, element, origin: origin || 'local', path: path || key, trigger: source || null },
       bubbles: true
     }));
   }
 
-  // Find closest state container
-  function findStateContainer(element, key) {
-    return element.closest('[data-state-' + key + ']');
+  // Shared write path for every setter: coerce to the declared type, check
+  // the key's state machine, update the attribute, record undo history,
+  // persist, sync to the URL, share with other tabs and dispatch
+  // htmx-r:state-change. Returns false if the value was rejected.
+  // key may be a dot path ("user.plan"); the whole JSON value is rewritten.
+  // source is the type of the DOM event being handled ("click", "keydown",
+  // "htmx:afterSwap") or what else made the change: "api", "server",
+  // "history", "restore", "init", "timer", "interval" or "machine". Derived
+  // keys skip commitState and dispatch with "computed" or "validity".
+  function commitState(container, key, value, element, origin, source) {
+    const path = key;
+    key = rootKey(path);
+    if (path !== key) {
+      value = JSON.stringify(setPath(container.getAttribute('data-state-' + key), path.split('.').slice(1), value));
+    }
+
+    value = coerceState(container, key, value, element);
+    if (value === null) return false;
+
+    const before = container.getAttribute('data-state-' + key);
+    if (!machineAllows(container, key, before, value, element, origin)) return false;
+
+    container.setAttribute('data-state-' + key, value);
+    recordWrite(container, key);
+    recordHistory(container, key, before, value, origin);
+    persistState(container, key, value);
+    if (origin !== 'remote') syncToURL(container, key, value);
+    if (origin !== 'remote') broadcastState(container, key, value);
+    dispatchStateChange(container, key, value, element, origin, path, source);
+    if (origin !== 'remote' && source !== 'history') runMachineActions(container, key, before, value);
+    return true;
   }
 
-  // Persist state to localStorage
-  function persistState(container, key, value) {
-    if (container.getAttribute('hx-state-persist') !== 'true') return;
+  // data-state-* attributes that bind or configure rather than declare a key
+  var RESERVED_STATE_ATTRS = ['data-state-text', 'data-state-value', 'data-state-each', 'data-state-interval'];
+  var RESERVED_STATE_PREFIXES = ['data-state-computed-', 'data-state-type-', 'data-state-machine-'];
+
+  // Map a data-state-{key} attribute name to its key (null for reserved attributes)
+  function stateKeyFromAttr(attrName) {
+    if (attrName.indexOf('data-state-') !== 0) return null;
+    if (RESERVED_STATE_ATTRS.indexOf(attrName) !== -1) return null;
+    for (var i = 0; i < RESERVED_STATE_PREFIXES.length; i++) {
+      if (attrName.indexOf(RESERVED_STATE_PREFIXES[i]) === 0) return null;
+    }
+    return attrName.slice('data-state-'.length);
+  }
+
+  // Parse a duration like "500", "500ms", "30s", "15m", "12h" or "7d" into ms
+  function parseDuration(str) {
+    if (!str) return 0;
+    const match = /^\s*(\d+(?:\.\d+)?)\s*(ms|s|m|h|d)?\s*$/.exec(str);
+    if (!match) return 0;
+    const units = { ms: 1, s: 1000, m: 60000, h: 3600000, d: 86400000 };
+    return parseFloat(match[1]) * units[match[2] || 'ms'];
+  }
+
+  // ── TYPED STATE (v1.3) ────────────────────────────────────────────────
+
+  /**
+   * data-state-type-{key}="{type}"  —  opt-in type for a state key
+   *
+   * Types:
+   *   string          default; any value
+   *   number          "42", "-1.5" (stored canonically: "010" → "10")
+   *   boolean         true/false (also accepts 1/0, yes/no, on/off)
+   *   json            any JSON value, stored canonically
+   *   enum(a|b|c)     one of the listed values
+   *
+   * Every write path (setters, htmx lifecycle hooks, htmxR.setState, server
+   * updates, persisted and URL restores) coerces the value first. Values that
+   * cannot be coerced are rejected — the state is left unchanged and
+   * htmx-r:state-invalid fires on the container with { key, value, type, element }.
+   *
+   * Expressions (data-when, data-class-when, derived state) read typed keys as
+   * numbers, booleans or parsed JSON, so "count > 9" compares numerically.
+   *
+   * Usage:
+   *   <div data-state-count="0" data-state-type-count="number"
+   *        data-state-mode="list" data-state-type-mode="enum(list|grid)"
+   *        hx-ext="reactive">
+   */
+  const BOOLEAN_VALUES = { 'true': 'true', '1': 'true', 'yes': 'true', 'on': 'true',
+                           'false': 'false', '0': 'false', 'no': 'false', 'off': 'false' };
+
+  function stateType(container, key) {
+    const type = container.getAttribute('data-state-type-' + key);
+    return type ? type.trim() : null;
+  }
+
+  // Coerce a value to its declared type; returns the string to store, or null if invalid
+  function coerceValue(type, value) {
+    if (!type || type === 'string') {
+      if (value === null || value === undefined) return '';
+      return typeof value === 'object' ? JSON.stringify(value) : String(value);
+    }
+
+    if (type === 'number') {
+      const n = typeof value === 'number' ? value : (String(value).trim() === '' ? NaN : Number(value));
+      return isFinite(n) ? String(n) : null;
+    }
+
+    if (type === 'boolean') {
+      const b = BOOLEAN_VALUES[String(value).trim().toLowerCase()];
+      return b === undefined ? null : b;
+    }
+
+    if (type === 'json') {
+      if (typeof value !== 'string') return JSON.stringify(value === undefined ? null : value);
+      try {
+        return JSON.stringify(JSON.parse(value));
+      } catch (e) {
+        return null;
+      }
+    }
+
+    const enumMatch = /^enum\((.*)\)$/.exec(type);
+    if (enumMatch) {
+      const options = enumMatch[1].split('|').map(o => o.trim());
+      return options.indexOf(String(value)) !== -1 ? String(value) : null;
+    }
+
+    console.warn('HTMX-R: Unknown state type "' + type + '"');
+    return String(value);
+  }
 
+  // Coerce for a container's key; fires htmx-r:state-invalid and returns null on failure
+  function coerceState(container, key, value, element) {
+    const type = stateType(container, key);
+    const coerced = coerceValue(type, value);
+
+    if (coerced === null) {
+      container.dispatchEvent(new CustomEvent('htmx-r:state-invalid', {
+        detail: { key, value, type, element: element || container },
+        bubbles: true
+      }));
+    }
+    return coerced;
+  }
+
+  // Read a stored value as its declared type (for expressions)
+  function typedValue(container, key, raw) {
+    if (raw === null) return null;
+    switch (stateType(container, key)) {
+      case 'number':  return Number(raw);
+      case 'boolean': return raw === 'true';
+      case 'json':
+        try {
+          return JSON.parse(raw);
+        } catch (e) {
+          return null;
+        }
+      default: return raw;
+    }
+  }
+
+  // ── STRUCTURED STATE (v1.3) ───────────────────────────────────────────
+
+  /**
+   * JSON state with dot-path bindings
+   *
+   * A key may hold a JSON object or array; bindings, setters and expressions
+   * address values inside it with a dot path ({key}.{field}.{index} …).
+   *
+   * Usage:
+   *   <div data-state-user='{"name":"Ana","plan":"pro"}' hx-ext="reactive">
+   *     <span data-state-text="user.name"></span>
+   *     <p data-when="user.plan:pro">Pro features</p>
+   *     <button hx-state-set="user.plan:free">Downgrade</button>
+   *   </div>
+   *
+   * Writing a path rewrites the key's JSON and fires htmx-r:state-change with
+   * detail.path set. Only bindings on that path, its parents and its children
+   * are refreshed — "user.plan" updates "user" and "user.plan", not "user.name".
+   */
+
+  // "user.plan" → "user"
+  function rootKey(path) {
+    const dot = path.indexOf('.');
+    return dot === -1 ? path : path.slice(0, dot);
+  }
+
+  // Parse JSON objects/arrays held as strings; other values pass through
+  function parseStructured(value) {
+    if (typeof value !== 'string' || !/^\s*[[{]/.test(value)) return value;
     try {
-      const storageKey = 'htmx-r:' + key;
-      localStorage.setItem(storageKey, value);
+      return JSON.parse(value);
     } catch (e) {
-      console.warn('HTMX-R: Failed to persist state to localStorage', e);
+      return value;
     }
   }
 
-  // Sync state to URL
-  function syncToURL(container, key, value) {
-    const urlParam = container.getAttribute('hx-state-sync-url');
-    if (!urlParam) return;
+  function getPath(value, segments) {
+    for (let i = 0; i < segments.length; i++) {
+      if (value === null || value === undefined) return null;
+      value = parseStructured(value);
+      if (segments[i] === 'length' && (typeof value === 'string' || Array.isArray(value))) {
+        value = value.length;
+        continue;
+      }
+      value = typeof value === 'object' && value !== null ? value[segments[i]] : undefined;
+    }
+    return value === undefined ? null : value;
+  }
+
+  // Copy-on-write update of a nested value
+  function setPath(value, segments, leaf) {
+    if (segments.length === 0) return leaf;
+    const target = parseStructured(value);
+    const copy = Array.isArray(target) ? target.slice()
+      : (target && typeof target === 'object' ? Object.assign({}, target) : {});
+    copy[segments[0]] = setPath(copy[segments[0]], segments.slice(1), leaf);
+    return copy;
+  }
+
+  // Current value of a key or path on its container (typed for keys with a declared type)
+  function readState(container, path) {
+    const key = rootKey(path);
+    const raw = container.getAttribute('data-state-' + key);
+    const value = typedValue(container, key, raw);
+    return key === path ? value : getPath(value, path.split('.').slice(1));
+  }
+
+  // Same as readState, as the string bindings and comparisons use
+  function readStateString(container, path) {
+    return rootKey(path) === path
+      ? container.getAttribute('data-state-' + path)
+      : exprToString(readState(container, path));
+  }
+
+  // True when a change at one path can affect a binding on the other
+  function pathsOverlap(a, b) {
+    return a === b || a.indexOf(b + '.') === 0 || b.indexOf(a + '.') === 0;
+  }
+
+  // ── PERSISTENCE ───────────────────────────────────────────────────────
+
+  /**
+   * hx-state-persist  —  storage backends, namespacing, expiry and versioning
+   *
+   * Container attributes:
+   *   hx-state-persist="true"              Persist to localStorage (same as "local")
+   *   hx-state-persist="{adapter}"         local | session | cookie | indexeddb | custom
+   *   hx-state-persist-keys="a, b"         Only persist these keys (default: all)
+   *   hx-state-persist-scope="{ns}"        Namespace storage keys: htmx-r:{ns}:{key}
+   *   hx-state-persist-ttl="{duration}"    Discard saved values older than this (e.g. 7d, 30m)
+   *   hx-state-persist-version="{v}"       Discard saved values written under another version
+   *
+   * Values are stored as a small JSON envelope ({ value, expires, version });
+   * plain strings written by earlier versions are still read back.
+   *
+   * Asynchronous reads (indexeddb, or a custom get that returns a Promise)
+   * are skipped for keys written after the page loaded, so a late restore
+   * never overwrites a change made by the user or the server.
+   *
+   * Custom adapters implement get/set/remove (get may return a Promise):
+   *   htmxR.registerStorage('memory', {
+   *     get: key => map.get(key) ?? null,
+   *     set: (key, value) => map.set(key, value),
+   *     remove: key => map.delete(key)
+   *   });
+   */
+  const storageAdapters = {};
+
+  function webStorageAdapter(getStorage) {
+    return {
+      get: key => getStorage().getItem(key),
+      set: (key, value) => getStorage().setItem(key, value),
+      remove: key => getStorage().removeItem(key)
+    };
+  }
+
+  storageAdapters.local = webStorageAdapter(() => window.localStorage);
+  storageAdapters.session = webStorageAdapter(() => window.sessionStorage);
+
+  storageAdapters.cookie = {
+    get: key => {
+      const prefix = encodeURIComponent(key) + '=';
+      const match = document.cookie.split('; ').find(part => part.indexOf(prefix) === 0);
+      return match ? decodeURIComponent(match.slice(prefix.length)) : null;
+    },
+    set: (key, value) => {
+      document.cookie = encodeURIComponent(key) + '=' + encodeURIComponent(value) +
+        '; path=/; max-age=31536000; SameSite=Lax';
+    },
+    remove: key => {
+      document.cookie = encodeURIComponent(key) + '=; path=/; max-age=0; SameSite=Lax';
+    }
+  };
+
+  // IndexedDB is asynchronous: get() resolves after the initial render
+  storageAdapters.indexeddb = (function() {
+    let dbPromise = null;
+
+    function open() {
+      if (!dbPromise) {
+        dbPromise = new Promise((resolve, reject) => {
+          const request = indexedDB.open('htmx-r', 1);
+          request.onupgradeneeded = () => request.result.createObjectStore('state');
+          request.onsuccess = () => resolve(request.result);
+          request.onerror = () => reject(request.error);
+        });
+      }
+      return dbPromise;
+    }
+
+    function run(mode, fn) {
+      return open().then(db => new Promise((resolve, reject) => {
+        const request = fn(db.transaction('state', mode).objectStore('state'));
+        request.onsuccess = () => resolve(request.result);
+        request.onerror = () => reject(request.error);
+      }));
+    }
+
+    return {
+      get: key => run('readonly', store => store.get(key)).then(value => value === undefined ? null : value),
+      set: (key, value) => run('readwrite', store => store.put(value, key)),
+      remove: key => run('readwrite', store => store.delete(key))
+    };
+  })();
+
+  // Read the persistence settings of a container (null if not persisted)
+  function persistConfig(container) {
+    const mode = container.getAttribute('hx-state-persist');
+    if (!mode || mode === 'false') return null;
+
+    const adapterName = mode === 'true' ? 'local' : mode;
+    const adapter = storageAdapters[adapterName];
+    if (!adapter) {
+      console.warn('HTMX-R: Unknown storage adapter "' + adapterName + '"');
+      return null;
+    }
+
+    const keys = container.getAttribute('hx-state-persist-keys');
+    const scope = container.getAttribute('hx-state-persist-scope');
+
+    return {
+      adapter,
+      keys: keys ? keys.split(',').map(k => k.trim()).filter(Boolean) : null,
+      prefix: 'htmx-r:' + (scope ? scope + ':' : ''),
+      ttl: parseDuration(container.getAttribute('hx-state-persist-ttl')),
+      version: container.getAttribute('hx-state-persist-version')
+    };
+  }
+
+  function persistsKey(config, key) {
+    return !config.keys || config.keys.indexOf(key) !== -1;
+  }
+
+  function encodeStored(config, value) {
+    const envelope = { value };
+    if (config.ttl) envelope.expires = Date.now() + config.ttl;
+    if (config.version) envelope.version = config.version;
+    return JSON.stringify(envelope);
+  }
+
+  // Unwrap a stored envelope; null when missing, expired or from another version
+  function decodeStored(config, raw) {
+    if (raw === null || raw === undefined) return null;
 
+    let envelope;
     try {
-      const url = new URL(window.location);
-      url.searchParams.set(urlParam, value);
-      window.history.replaceState({}, '', url);
+      envelope = JSON.parse(raw);
     } catch (e) {
-      console.warn('HTMX-R: Failed to sync state to URL', e);
+      envelope = null;
     }
+
+    // Plain string written before envelopes existed
+    if (!envelope || typeof envelope !== 'object' || !('value' in envelope)) {
+      return config.version ? null : String(raw);
+    }
+
+    if (envelope.expires && envelope.expires < Date.now()) return null;
+    if ((envelope.version || null) !== (config.version || null)) return null;
+    return String(envelope.value);
+  }
+
+  // Surface failures from adapters that return Promises
+  function settleStorage(result, message) {
+    if (result && typeof result.then === 'function') {
+      result.then(null, e => console.warn(message, e));
+    }
+    return result;
   }
 
-  // Restore state from URL
-  function restoreFromURL(container) {
-    const urlParam = container.getAttribute('hx-state-sync-url');
-    if (!urlParam) return;
+  // Persist state through the container's storage adapter
+  function persistState(container, key, value) {
+    const config = persistConfig(container);
+    if (!config || !persistsKey(config, key)) return;
 
+    const message = 'HTMX-R: Failed to persist state';
     try {
-      const url = new URL(window.location);
-      const value = url.searchParams.get(urlParam);
-
-      if (value !== null) {
-        // Find the state key by looking at data-state-* attributes
-        Array.from(container.attributes).forEach(attr => {
-          if (attr.name.startsWith('data-state-')) {
-            const key = attr.name.replace('data-state-', '');
-            container.setAttribute('data-state-' + key, value);
-            container.dispatchEvent(new CustomEvent('htmx-r:state-change', {
-              detail: { key, value, element: container },
-              bubbles: true
-            }));
-          }
-        });
-      }
+      settleStorage(config.adapter.set(config.prefix + key, encodeStored(config, value)), message);
     } catch (e) {
-      console.warn('HTMX-R: Failed to restore state from URL', e);
+      console.warn(message, e);
     }
   }
 
-  // Restore state from localStorage
+  // Writes per key (container → Map of key → count), so an async restore
+  // that resolves late can tell the user or server changed the key meanwhile
+  const writeGenerations = new WeakMap();
+
+  function writeGeneration(container, key) {
+    const writes = writeGenerations.get(container);
+    return writes ? writes.get(key) || 0 : 0;
+  }
+
+  function recordWrite(container, key) {
+    if (!writeGenerations.has(container)) writeGenerations.set(container, new Map());
+    writeGenerations.get(container).set(key, writeGeneration(container, key) + 1);
+  }
+
+  // Restore state from the container's storage adapter
   function restoreState(container) {
-    if (container.getAttribute('hx-state-persist') !== 'true') return;
+    const config = persistConfig(container);
+    if (!config) return;
+
+    const apply = (key, storageKey, raw) => {
+      let saved = decodeStored(config, raw);
+      if (saved !== null) saved = coerceState(container, key, saved);
+      if (saved !== null && machineRestoreValue(container, key, saved) !== saved) saved = null;
+
+      // Expired, stale-version, invalid or unknown machine values are dropped from storage
+      if (saved === null) {
+        if (raw !== null && raw !== undefined) {
+          settleStorage(config.adapter.remove(storageKey), 'HTMX-R: Failed to discard stale state');
+        }
+        return;
+      }
+
+      container.setAttribute('data-state-' + key, saved);
+      dispatchStateChange(container, key, saved, container, 'local', key, 'restore');
+    };
 
     try {
       // Get all state attributes on this container
       Array.from(container.attributes).forEach(attr => {
-        if (attr.name.startsWith('data-state-')) {
-          const key = attr.name.replace('data-state-', '');
-          const storageKey = 'htmx-r:' + key;
-          const saved = localStorage.getItem(storageKey);
-
-          if (saved !== null) {
-            container.setAttribute('data-state-' + key, saved);
-            container.dispatchEvent(new CustomEvent('htmx-r:state-change', {
-              detail: { key, value: saved, element: container },
-              bubbles: true
-            }));
-          }
+        const key = stateKeyFromAttr(attr.name);
+        if (!key || !persistsKey(config, key)) return;
+
+        const storageKey = config.prefix + key;
+        const saved = config.adapter.get(storageKey);
+
+        if (saved && typeof saved.then === 'function') {
+          // Newer writes win over a value that arrives after them
+          const generation = writeGeneration(container, key);
+          settleStorage(saved.then(raw => {
+            if (writeGeneration(container, key) === generation) apply(key, storageKey, raw);
+          }), 'HTMX-R: Failed to restore state');
+        } else {
+          apply(key, storageKey, saved);
         }
       });
     } catch (e) {
-      console.warn('HTMX-R: Failed to restore state from localStorage', e);
+      console.warn('HTMX-R: Failed to restore state', e);
+    }
+  }
+
+  // ── URL SYNC ──────────────────────────────────────────────────────────
+
+  /**
+   * hx-state-sync-url  —  mirror state keys to URL query params
+   *
+   * Usage:
+   *   hx-state-sync-url="tab"                    key "tab" ↔ ?tab=
+   *   hx-state-sync-url="tab:t, page:p"          key "tab" ↔ ?t=, key "page" ↔ ?p=
+   *   hx-state-sync-url="tab:t:push, page:p"     "tab" changes add a history entry
+   *
+   * Each entry is {key}[:{param}][:push|replace] (default: replace). A value
+   * equal to the key's server-rendered initial value is removed from the URL
+   * so shareable links stay clean. On back/forward (popstate) mapped keys are
+   * restored from the URL — or reset to their initial value when the param
+   * is absent — and htmx-r:state-change fires as usual.
+   *
+   * For backward compatibility a single bare param that is not a declared
+   * key maps to the container's first state key.
+   */
+
+  // Server-rendered values, captured before any restore (container → { key: value })
+  const initialStates = new WeakMap();
+
+  function captureInitialState(container) {
+    if (initialStates.has(container)) return;
+    const initial = {};
+    Array.from(container.attributes).forEach(attr => {
+      const key = stateKeyFromAttr(attr.name);
+      if (key) initial[key] = attr.value;
+    });
+    initialStates.set(container, initial);
+  }
+
+  function initialValue(container, key) {
+    const initial = initialStates.get(container);
+    return initial && key in initial ? initial[key] : null;
+  }
+
+  // Parse hx-state-sync-url into [{ key, param, mode }]
+  function urlSyncMappings(container) {
+    const attr = container.getAttribute('hx-state-sync-url');
+    if (!attr) return [];
+
+    const entries = attr.split(',').map(s => s.trim()).filter(Boolean);
+    return entries.map(entry => {
+      const parts = entry.split(':').map(s => s.trim());
+      let key = parts[0];
+
+      if (parts.length === 1 && entries.length === 1 && !container.hasAttribute('data-state-' + key)) {
+        const firstAttr = Array.from(container.attributes).find(a => stateKeyFromAttr(a.name));
+        key = firstAttr ? stateKeyFromAttr(firstAttr.name) : null;
+      }
+
+      return { key, param: parts[1] || parts[0], mode: parts[2] === 'push' ? 'push' : 'replace' };
+    }).filter(mapping => mapping.key);
+  }
+
+  // Sync state to URL
+  function syncToURL(container, key, value) {
+    const mapping = urlSyncMappings(container).find(m => m.key === key);
+    if (!mapping) return;
+
+    try {
+      const url = new URL(window.location);
+      if (value === initialValue(container, key)) {
+        url.searchParams.delete(mapping.param);
+      } else {
+        url.searchParams.set(mapping.param, value);
+      }
+      if (url.href === window.location.href) return;
+
+      if (mapping.mode === 'push') {
+        window.history.pushState({ htmxR: true }, '', url);
+      } else {
+        // Keep the existing entry's state so htmx's own history still works
+        window.history.replaceState(window.history.state, '', url);
+      }
+    } catch (e) {
+      console.warn('HTMX-R: Failed to sync state to URL', e);
+    }
+  }
+
+  // Restore state from URL; on popstate, absent params reset to the initial value
+  function restoreFromURL(container, fromHistory) {
+    try {
+      const params = new URL(window.location).searchParams;
+
+      urlSyncMappings(container).forEach(({ key, param }) => {
+        let value = params.get(param);
+        if (value === null && fromHistory) value = initialValue(container, key);
+        if (value !== null) value = coerceState(container, key, value);
+        if (value !== null) value = machineRestoreValue(container, key, value);
+        if (value === null || value === container.getAttribute('data-state-' + key)) return;
+
+        container.setAttribute('data-state-' + key, value);
+        dispatchStateChange(container, key, value, container, 'local', key, fromHistory ? 'popstate' : 'restore');
+      });
+    } catch (e) {
+      console.warn('HTMX-R: Failed to restore state from URL', e);
     }
   }
 
+  // Back/forward: re-apply URL state to every synced container
+  window.addEventListener('popstate', function() {
+    document.querySelectorAll('[hx-state-sync-url]').forEach(container => {
+      restoreFromURL(container, true);
+    });
+  });
+
+  // ── STATE SETTERS ─────────────────────────────────────────────────────
+
   // Transitioning state tracker
   const transitioning = new WeakMap();
 
@@ -195,19 +800,7 @@
     if (!container) return;
 
     // Set state to specific value
-    container.setAttribute('data-state-' + key, value);
-
-    // Persist to localStorage if enabled
-    persistState(container, key, value);
-
-    // Sync to URL if enabled
-    syncToURL(container, key, value);
-
-    // Dispatch state change event
-    container.dispatchEvent(new CustomEvent('htmx-r:state-change', {
-      detail: { key, value, element: setter },
-      bubbles: true
-    }));
+    commitState(container, key, value, setter, 'local', e.type);
   });
 
   // Handle state toggles
@@ -225,7 +818,7 @@
     if (transitioning.get(container)) return;
     transitioning.set(container, true);
 
-    const currentValue = container.getAttribute('data-state-' + stateKey);
+    const currentValue = readStateString(container, stateKey);
 
     // Get toggle values (default: true/false)
     const valuesAttr = toggle.getAttribute('hx-state-values');
@@ -242,25 +835,13 @@
     const nextIndex = (currentIndex + 1) % values.length;
     const newValue = values[nextIndex];
 
-    // Update state
-    container.setAttribute('data-state-' + stateKey, newValue);
-
-    // Persist to localStorage if enabled
-    persistState(container, stateKey, newValue);
-
-    // Sync to URL if enabled
-    syncToURL(container, stateKey, newValue);
-
     // Update checkbox state if toggle is a checkbox
     if (toggle.type === 'checkbox') {
       toggle.checked = (newValue === values[0]);
     }
 
-    // Dispatch state change event
-    container.dispatchEvent(new CustomEvent('htmx-r:state-change', {
-      detail: { key: stateKey, value: newValue, element: toggle },
-      bubbles: true
-    }));
+    // Update state
+    commitState(container, stateKey, newValue, toggle, 'local', e.type);
 
     // Clear transition flag after a microtask (allows CSS to update)
     requestAnimationFrame(() => transitioning.delete(container));
@@ -291,63 +872,50 @@
       value = e.target.value;
     }
 
-    container.setAttribute('data-state-' + stateToggle, value);
-
-    // Persist to localStorage if enabled
-    persistState(container, stateToggle, value);
-
-    // Sync to URL if enabled
-    syncToURL(container, stateToggle, value);
-
-    container.dispatchEvent(new CustomEvent('htmx-r:state-change', {
-      detail: { key: stateToggle, value, element: e.target },
-      bubbles: true
-    }));
+    commitState(container, stateToggle, value, e.target, 'local', e.type);
   });
 
   // Sync form values with state (state → input, for data-state-value)
-  document.addEventListener('htmx-r:state-change', function(e) {
-    const { key, value } = e.detail;
-    const container = e.target;
-
-    // Update all inputs with data-state-value attribute
-    const inputs = container.querySelectorAll('[data-state-value="' + key + '"]');
-    inputs.forEach(input => {
-      if (input.type === 'checkbox') {
-        input.checked = (value === 'true' || value === input.getAttribute('data-state-values')?.split(',')[0]);
-      } else {
-        input.value = value;
-      }
-    });
-  });
+  function applyStateValue(input, lookup) {
+    const typed = lookup(input.getAttribute('data-state-value').trim());
+    if (typed === null) return;
+    const value = exprToString(typed);
+
+    if (input.type === 'checkbox') {
+      input.checked = (value === 'true' || value === input.getAttribute('data-state-values')?.split(',')[0]);
+    } else {
+      input.value = value;
+    }
+  }
 
   /**
    * Dynamic data-when handler
    * Instead of relying solely on CSS rules (which must be hardcoded per state
    * name + value combo), this listener dynamically shows/hides data-when
    * elements for ANY state name and value combination.
+   *
+   * Accepts "key:value" or a condition expression (see CONDITIONS below);
+   * every element whose condition references the changed key is re-evaluated.
    */
-  document.addEventListener('htmx-r:state-change', function(e) {
-    const { key, value } = e.detail;
-    const container = e.target;
-
-    // Find all data-when elements within this container that match this key
-    const whenElements = container.querySelectorAll('[data-when^="' + key + ':"]');
-    whenElements.forEach(el => {
-      const whenAttr = el.getAttribute('data-when');
-      const whenValue = whenAttr.substring(key.length + 1); // after "key:"
-      // Skip elements being handled by the transition system
-      if (el.hasAttribute('data-transition') || el.hasAttribute('data-htmxr-transitioning')) return;
-
-      if (whenValue === value) {
-        el.style.display = '';
-        el.removeAttribute('data-htmx-r-hidden');
-      } else {
-        el.style.display = 'none';
-        el.setAttribute('data-htmx-r-hidden', 'true');
-      }
-    });
-  });
+  function applyWhen(el, lookup) {
+    // Elements with data-transition are animated by the transition system
+    if (hasTransition(el)) {
+      applyTransition(el, lookup);
+      return;
+    }
+    if (el.hasAttribute('data-htmxr-transitioning')) return;
+
+    const condition = compileCondition(el.getAttribute('data-when'));
+    if (!condition) return;
+
+    if (isTruthy(evalExpr(condition.ast, lookup))) {
+      el.style.display = '';
+      el.removeAttribute('data-htmx-r-hidden');
+    } else {
+      el.style.display = 'none';
+      el.setAttribute('data-htmx-r-hidden', 'true');
+    }
+  }
 
   // ── BINDING EXTENSIONS v1.1 ───────────────────────────────────────────
 
@@ -385,15 +953,8 @@
     const container = findStateContainer(e.target, key);
     if (!container) return;
 
-    container.setAttribute('data-state-' + key, value);
-    persistState(container, key, value);
-    syncToURL(container, key, value);
-
-    container.dispatchEvent(new CustomEvent('htmx-r:state-change', {
-      detail: { key, value, element: e.target },
-      bubbles: true
-    }));
-  });
+    commitState(container, key, value, e.target, 'local', e.type);
+  });
 
   /**
    * data-state-text  —  state → textContent binding
@@ -407,16 +968,14 @@
    *
    * Pairs naturally with hx-state-on-input for character counters,
    * live computed values, and derived displays.
+   *
+   * The element may live outside the state container; it then shows the
+   * most recently changed container's value.
    */
-  document.addEventListener('htmx-r:state-change', function(e) {
-    const { key, value } = e.detail;
-
-    // Update all matching text elements anywhere in the document
-    // (not just inside the container — allows text displays to live outside state scope)
-    document.querySelectorAll('[data-state-text="' + key + '"]').forEach(function(el) {
-      el.textContent = value;
-    });
-  });
+  function applyStateText(el, lookup) {
+    const value = lookup(el.getAttribute('data-state-text').trim());
+    if (value !== null) el.textContent = exprToString(value);
+  }
 
   /**
    * data-class-when  —  state → CSS class binding
@@ -427,8 +986,12 @@
    *
    * Usage:
    *   data-class-when="{key}:{value}:{class1} {class2} ..."
+   *   data-class-when="{condition} -> {class1} {class2} ..."
    *   data-class-default="{class1} {class2} ..."   (optional fallback classes)
    *
+   * The arrow form takes any data-when condition, e.g.
+   *   data-class-when="status in [error, timeout] -> border-red-500"
+   *
    * Example — condition toggle buttons (New / Used / CPO):
    *   <div data-state-condition="new" hx-ext="reactive">
    *     <button hx-state-set="condition:new"
@@ -442,37 +1005,23 @@
    * Note: The element does NOT need to be inside the state container —
    * class updates are applied document-wide so overlay UIs work correctly.
    */
-  document.addEventListener('htmx-r:state-change', function(e) {
-    const { key, value } = e.detail;
+  function applyClassWhen(el, lookup) {
+    const parsed = parseClassWhen(el.getAttribute('data-class-when'));
+    if (!parsed || !parsed.condition) return;
 
-    // Find all elements with data-class-when starting with this key
-    document.querySelectorAll('[data-class-when^="' + key + ':"]').forEach(function(el) {
-      const attr = el.getAttribute('data-class-when');
+    const activeClasses   = parsed.classes;
+    const defaultClasses  = (el.getAttribute('data-class-default') || '').split(/\s+/).filter(Boolean);
 
-      // Parse format: "key:matchValue:class1 class2 ..."
-      // Use indexOf to support colons inside class names (unlikely but safe)
-      const firstColon  = attr.indexOf(':');
-      const secondColon = attr.indexOf(':', firstColon + 1);
-      if (firstColon === -1 || secondColon === -1) return;
-
-      const whenKey     = attr.slice(0, firstColon).trim();
-      const whenValue   = attr.slice(firstColon + 1, secondColon).trim();
-      const activeClasses   = attr.slice(secondColon + 1).trim().split(/\s+/).filter(Boolean);
-      const defaultClasses  = (el.getAttribute('data-class-default') || '').split(/\s+/).filter(Boolean);
-
-      if (whenKey !== key) return;
-
-      if (value === whenValue) {
-        // Activate: remove default classes, add active classes
-        defaultClasses.forEach(function(c) { el.classList.remove(c); });
-        activeClasses.forEach(function(c)  { el.classList.add(c);    });
-      } else {
-        // Deactivate: remove active classes, restore default classes
-        activeClasses.forEach(function(c)  { el.classList.remove(c); });
-        defaultClasses.forEach(function(c) { el.classList.add(c);    });
-      }
-    });
-  });
+    if (isTruthy(evalExpr(parsed.condition.ast, lookup))) {
+      // Activate: remove default classes, add active classes
+      defaultClasses.forEach(function(c) { el.classList.remove(c); });
+      activeClasses.forEach(function(c)  { el.classList.add(c);    });
+    } else {
+      // Deactivate: remove active classes, restore default classes
+      activeClasses.forEach(function(c)  { el.classList.remove(c); });
+      defaultClasses.forEach(function(c) { el.classList.add(c);    });
+    }
+  }
 
   // ── POPOVER / DROPDOWN (v1.2) ────────────────────────────────────────
 
@@ -493,74 +1042,186 @@
    *
    * The attribute goes on the trigger element. The container must declare
    * data-state-{key}="closed". Content shown via data-when="{key}:open".
+   *
+   * Accessibility (v1.3):
+   *   The panel is the container's data-when="{key}:open" element, or one
+   *   marked data-popover-panel="{key}". Triggers get aria-expanded and
+   *   aria-controls (an id is generated for the panel if needed). Opening
+   *   from the trigger moves focus to the panel's [autofocus] element, its
+   *   first focusable element, or the panel itself; closing returns focus to
+   *   the trigger unless the user has already moved it elsewhere.
+   *
+   *   hx-state-popover-trap="true"     Keep Tab / Shift+Tab inside the open panel
+   *   hx-state-popover-focus="false"   Leave focus on the trigger when opening
+   *
+   *   Escape closes only the innermost open popover. Popovers nested inside
+   *   another popover's panel (submenus) keep their parent open on inner
+   *   clicks, and close along with it.
    */
-  document.addEventListener('click', function(e) {
-    var trigger = e.target.closest('[hx-state-popover]');
+  var FOCUSABLE = 'a[href], area[href], button:not([disabled]), input:not([disabled]):not([type="hidden"]), ' +
+                  'select:not([disabled]), textarea:not([disabled]), [contenteditable="true"], [tabindex]:not([tabindex="-1"])';
+
+  var openPopovers = [];   // { container, key, trigger } in opening order
+  var popoverIds = 0;
+
+  // Triggers are looked up in the binding index rather than by scanning
+  function popoverTriggers(container, key) {
+    var paths = bindingIndex.get(key);
+    var bound = paths && paths.get(key);
+    if (!bound) return [];
+
+    return Array.from(bound).filter(function(trigger) {
+      return trigger.isConnected && trigger.hasAttribute('hx-state-popover') &&
+        trigger.getAttribute('hx-state-popover').trim() === key && findStateContainer(trigger, key) === container;
+    }).sort(function(a, b) {
+      return a.compareDocumentPosition(b) & Node.DOCUMENT_POSITION_FOLLOWING ? -1 : 1;
+    });
+  }
 
-    if (trigger) {
-      e.stopPropagation();
-      var key = trigger.getAttribute('hx-state-popover').trim();
-      var container = findStateContainer(trigger, key);
-      if (!container) return;
+  function popoverPanel(container, key) {
+    var openWhen = [key + ':open', key + '==open', key + '===open'];
+    return Array.from(container.querySelectorAll('[data-popover-panel], [data-when]')).find(function(el) {
+      var matches = el.getAttribute('data-popover-panel') === key ||
+        openWhen.indexOf((el.getAttribute('data-when') || '').replace(/[\s'"]/g, '')) !== -1;
+      return matches && findStateContainer(el, key) === container;
+    }) || null;
+  }
 
-      var current = container.getAttribute('data-state-' + key);
-      var next = current === 'open' ? 'closed' : 'open';
+  function focusableIn(panel) {
+    return Array.from(panel.querySelectorAll(FOCUSABLE)).filter(function(el) {
+      return !el.closest('[data-htmx-r-hidden], [hidden]');
+    });
+  }
 
-      container.setAttribute('data-state-' + key, next);
-      persistState(container, key, next);
-      syncToURL(container, key, next);
-      container.dispatchEvent(new CustomEvent('htmx-r:state-change', {
-        detail: { key: key, value: next, element: trigger },
-        bubbles: true
-      }));
-      return;
+  function focusInto(panel) {
+    var target = panel.querySelector('[autofocus]') || focusableIn(panel)[0];
+    if (!target) {
+      if (!panel.hasAttribute('tabindex')) panel.setAttribute('tabindex', '-1');
+      target = panel;
     }
+    target.focus();
+  }
 
-    // Outside-click: close any open popovers
-    var openContainers = document.querySelectorAll('[hx-state-popover]');
-    var seen = new Set();
-    openContainers.forEach(function(el) {
-      var key = el.getAttribute('hx-state-popover').trim();
-      var container = findStateContainer(el, key);
-      if (!container || seen.has(container)) return;
-      seen.add(container);
-
-      if (container.getAttribute('data-state-' + key) === 'open') {
-        // Only close if click is outside the container
-        if (!container.contains(e.target)) {
-          container.setAttribute('data-state-' + key, 'closed');
-          persistState(container, key, 'closed');
-          syncToURL(container, key, 'closed');
-          container.dispatchEvent(new CustomEvent('htmx-r:state-change', {
-            detail: { key: key, value: 'closed', element: el },
-            bubbles: true
-          }));
-        }
+  function closePopover(record, source) {
+    commitState(record.container, record.key, 'closed', record.trigger, 'local', source);
+  }
+
+  // Drop records whose container was swapped out or closed behind our back
+  function prunePopovers() {
+    openPopovers = openPopovers.filter(function(record) {
+      return record.container.isConnected && readStateString(record.container, record.key) === 'open';
+    });
+  }
+
+  // Keep ARIA, the open stack and focus in step with the state, whatever changed it
+  document.addEventListener('htmx-r:state-change', function(e) {
+    var container = e.target;
+    var key = e.detail.key;
+    if (e.detail.path !== key) return;
+
+    var triggers = popoverTriggers(container, key);
+    if (!triggers.length) return;
+
+    var open = readStateString(container, key) === 'open';
+    var panel = popoverPanel(container, key);
+    if (panel && !panel.id) panel.id = 'htmxr-popover-' + (++popoverIds);
+
+    triggers.forEach(function(trigger) {
+      trigger.setAttribute('aria-expanded', open ? 'true' : 'false');
+      if (panel) trigger.setAttribute('aria-controls', panel.id);
+    });
+
+    var index = openPopovers.findIndex(function(record) {
+      return record.container === container && record.key === key;
+    });
+
+    if (open && index === -1) {
+      var opener = triggers.indexOf(e.detail.element) !== -1 ? e.detail.element : null;
+      openPopovers.push({ container: container, key: key, trigger: opener || triggers[0] });
+
+      // Wait for the binding flush to show the panel before placing and
+      // focusing it (placement needn't be its only binding)
+      if (panel && panel.hasAttribute('data-popover-placement')) {
+        requestAnimationFrame(function() { applyPlacement(panel); });
+      }
+      if (opener && panel && opener.getAttribute('hx-state-popover-focus') !== 'false') {
+        requestAnimationFrame(function() { focusInto(panel); });
+      }
+    } else if (!open && index !== -1) {
+      var record = openPopovers.splice(index, 1)[0];
+
+      // Submenus opened inside this panel close with it
+      openPopovers.slice(index).reverse().forEach(function(inner) {
+        if (panel && panel.contains(inner.container)) closePopover(inner, e.detail.trigger);
+      });
+
+      var active = document.activeElement;
+      if (!active || active === document.body || (panel && panel.contains(active))) {
+        record.trigger.focus();
       }
+    }
+  });
+
+  document.addEventListener('click', function(e) {
+    prunePopovers();
+
+    // Outside-click: close open popovers that don't contain the click, innermost first
+    openPopovers.slice().reverse().forEach(function(record) {
+      var panel = popoverPanel(record.container, record.key);
+      if (record.container.contains(e.target) || (panel && panel.contains(e.target))) return;
+      closePopover(record, e.type);
     });
+
+    var trigger = e.target.closest('[hx-state-popover]');
+    if (!trigger) return;
+
+    e.stopPropagation();
+    var key = trigger.getAttribute('hx-state-popover').trim();
+    var container = findStateContainer(trigger, key);
+    if (!container) return;
+
+    var current = readStateString(container, key);
+    var next = current === 'open' ? 'closed' : 'open';
+
+    commitState(container, key, next, trigger, 'local', e.type);
   });
 
-  // Escape key closes all open popovers
   document.addEventListener('keydown', function(e) {
-    if (e.key !== 'Escape') return;
-    var triggers = document.querySelectorAll('[hx-state-popover]');
-    var seen = new Set();
-    triggers.forEach(function(el) {
-      var key = el.getAttribute('hx-state-popover').trim();
-      var container = findStateContainer(el, key);
-      if (!container || seen.has(container)) return;
-      seen.add(container);
+    if (e.key !== 'Escape' && e.key !== 'Tab') return;
+    prunePopovers();
+    var innermost = openPopovers[openPopovers.length - 1];
+    if (!innermost) return;
+
+    // Escape closes only the innermost open popover
+    if (e.key === 'Escape') {
+      closePopover(innermost, e.type);
+      return;
+    }
 
-      if (container.getAttribute('data-state-' + key) === 'open') {
-        container.setAttribute('data-state-' + key, 'closed');
-        persistState(container, key, 'closed');
-        syncToURL(container, key, 'closed');
-        container.dispatchEvent(new CustomEvent('htmx-r:state-change', {
-          detail: { key: key, value: 'closed', element: el },
-          bubbles: true
-        }));
-      }
-    });
+    // Focus trap: wrap Tab / Shift+Tab inside the panel
+    if (innermost.trigger.getAttribute('hx-state-popover-trap') !== 'true') return;
+    var panel = popoverPanel(innermost.container, innermost.key);
+    if (!panel) return;
+
+    var focusable = focusableIn(panel);
+    if (!focusable.length) {
+      e.preventDefault();
+      return;
+    }
+    var first = focusable[0];
+    var last = focusable[focusable.length - 1];
+    var active = document.activeElement;
+
+    if (!panel.contains(active)) {
+      e.preventDefault();
+      (e.shiftKey ? last : first).focus();
+    } else if (e.shiftKey && (active === first || active === panel)) {
+      e.preventDefault();
+      last.focus();
+    } else if (!e.shiftKey && active === last) {
+      e.preventDefault();
+      first.focus();
+    }
   });
 
   // ── HOVER TRIGGER (v1.2) ────────────────────────────────────────────
@@ -579,67 +1240,213 @@
    *
    * Optional delay (ms) to prevent flicker:
    *   hx-state-on-hover="tip:300"   — 300ms delay before showing
+   *
+   * Options (v1.3):
+   *   hx-state-hover-leave="{ms}"      Delay before clearing (default 100), to
+   *                                    allow moving into the tooltip content
+   *   hx-state-hover-intent="{px}"     Only show once the pointer slows to under
+   *                                    {px} per 100ms (default 7 for "true");
+   *                                    replaces the show delay
+   *   hx-state-hover-focus="false"     Don't mirror focusin/focusout (keyboard
+   *                                    focus counts as hover by default)
+   *   hx-state-hover-touch="tap"       Touch: tap toggles, tap elsewhere clears (default)
+   *   hx-state-hover-touch="longpress[:{ms}]"  Touch: press and hold (default 500ms)
+   *   hx-state-hover-touch="none"      Touch: leave to the emulated mouse events
+   *
+   * Changes go through the shared write path like every other setter
+   * (types, persistence, URL sync, broadcast, history, events).
    */
-  var hoverTimers = new WeakMap();
-
-  document.addEventListener('mouseenter', function(e) {
-    var el = e.target.closest('[hx-state-on-hover]');
-    if (!el) return;
+  var INTENT_INTERVAL = 100;       // ms between hover-intent speed samples
+  var DEFAULT_INTENT = 7;          // px moved per interval that still counts as resting
+  var TOUCH_MOUSE_WINDOW = 800;    // ms after a handled touch during which emulated mouse events are ignored
+
+  var hoverStates = new WeakMap();   // element → { hovered, focused, touched, shown, timers, pointer, lastTouch }
+  var touchOpen = new Set();         // elements shown by a touch, cleared by a tap elsewhere
+  var HOVER_EVENTS = {               // source → [show, hide] event reported as the change's trigger
+    hovered: ['mouseenter', 'mouseleave'], focused: ['focusin', 'focusout'], touched: ['pointerdown', 'pointerdown']
+  };
 
+  function hoverConfig(el) {
     var attr = el.getAttribute('hx-state-on-hover').trim();
     var colonIdx = attr.indexOf(':');
-    var key   = colonIdx === -1 ? attr : attr.slice(0, colonIdx).trim();
-    var delay = colonIdx === -1 ? 0   : parseInt(attr.slice(colonIdx + 1), 10) || 0;
+    var intent = el.getAttribute('hx-state-hover-intent');
+    var touch = (el.getAttribute('hx-state-hover-touch') || 'tap').trim().split(':');
+
+    return {
+      key: colonIdx === -1 ? attr : attr.slice(0, colonIdx).trim(),
+      delay: colonIdx === -1 ? 0 : parseInt(attr.slice(colonIdx + 1), 10) || 0,
+      leave: el.hasAttribute('hx-state-hover-leave') ? parseDuration(el.getAttribute('hx-state-hover-leave')) : 100,
+      intent: intent === null || intent === 'false' ? 0 : parseFloat(intent) || DEFAULT_INTENT,
+      touch: touch[0],
+      longPress: parseDuration(touch[1]) || 500
+    };
+  }
+
+  function hoverState(el) {
+    var state = hoverStates.get(el);
+    if (!state) {
+      state = { hovered: false, focused: false, touched: false };
+      hoverStates.set(el, state);
+    }
+    return state;
+  }
 
+  function writeHover(el, on, trigger) {
+    hoverState(el).shown = on;
+    var key = hoverConfig(el).key;
     var container = findStateContainer(el, key);
-    if (!container) return;
+    if (!container || readStateString(container, key) === String(on)) return;
+    commitState(container, key, String(on), el, 'local', trigger);
+  }
 
-    // Clear any pending mouseleave timer
-    var timers = hoverTimers.get(el) || {};
-    if (timers.leave) { clearTimeout(timers.leave); timers.leave = null; }
+  function clearHoverTimers(state) {
+    clearTimeout(state.enterTimer);
+    clearInterval(state.intentTimer);
+    state.enterTimer = state.intentTimer = null;
+  }
 
-    var apply = function() {
-      container.setAttribute('data-state-' + key, 'true');
-      persistState(container, key, 'true');
-      container.dispatchEvent(new CustomEvent('htmx-r:state-change', {
-        detail: { key: key, value: 'true', element: el },
-        bubbles: true
-      }));
-    };
+  // source is "hovered", "focused" or "touched"; the key stays true while any is set
+  function activateHover(el, source) {
+    var state = hoverState(el);
+    state[source] = true;
+    clearHoverTimers(state);
+    clearTimeout(state.leaveTimer);
+    state.leaveTimer = null;
+    writeHover(el, true, HOVER_EVENTS[source][0]);
+  }
+
+  function deactivateHover(el, source, delay) {
+    var state = hoverState(el);
+    state[source] = false;
+    if (source === 'hovered') clearHoverTimers(state);
+    if (state.hovered || state.focused || state.touched) return;
+
+    clearTimeout(state.leaveTimer);
+    state.leaveTimer = setTimeout(function() {
+      state.leaveTimer = null;
+      if (!state.hovered && !state.focused && !state.touched) writeHover(el, false, HOVER_EVENTS[source][1]);
+    }, delay);
+  }
+
+  // Sample the pointer every INTENT_INTERVAL and show once it has slowed down
+  function startHoverIntent(el, state, threshold, e) {
+    state.pointer = { x: e.clientX, y: e.clientY, lastX: e.clientX, lastY: e.clientY };
+    state.intentTimer = setInterval(function() {
+      var p = state.pointer;
+      var moved = Math.abs(p.x - p.lastX) + Math.abs(p.y - p.lastY);
+      p.lastX = p.x;
+      p.lastY = p.y;
+      if (moved < threshold) activateHover(el, 'hovered');
+    }, INTENT_INTERVAL);
+  }
+
+  // mouseenter/mouseleave don't bubble; capture sees them for every element
+  document.addEventListener('mouseenter', function(e) {
+    var el = e.target;
+    if (!el.hasAttribute || !el.hasAttribute('hx-state-on-hover')) return;
+
+    var config = hoverConfig(el);
+    var state = hoverState(el);
 
-    if (delay > 0) {
-      timers.enter = setTimeout(apply, delay);
-      hoverTimers.set(el, timers);
+    // Emulated mouse events after a tap/longpress we already handled
+    if (state.lastTouch && Date.now() - state.lastTouch < TOUCH_MOUSE_WINDOW) return;
+
+    // Back before the leave delay ran out: still shown, keep it that way
+    if (state.leaveTimer && state.shown) return activateHover(el, 'hovered');
+
+    clearHoverTimers(state);
+    if (config.intent) {
+      startHoverIntent(el, state, config.intent, e);
+    } else if (config.delay > 0) {
+      state.enterTimer = setTimeout(function() { activateHover(el, 'hovered'); }, config.delay);
     } else {
-      apply();
+      activateHover(el, 'hovered');
     }
   }, true);
 
   document.addEventListener('mouseleave', function(e) {
+    var el = e.target;
+    if (!el.hasAttribute || !el.hasAttribute('hx-state-on-hover')) return;
+    deactivateHover(el, 'hovered', hoverConfig(el).leave);
+  }, true);
+
+  document.addEventListener('mousemove', function(e) {
+    var el = e.target.closest && e.target.closest('[hx-state-on-hover]');
+    var state = el && hoverStates.get(el);
+    if (!state || !state.intentTimer) return;
+    state.pointer.x = e.clientX;
+    state.pointer.y = e.clientY;
+  }, { passive: true });
+
+  // Keyboard parity: focus inside the element counts as hovering it
+  document.addEventListener('focusin', function(e) {
+    var el = e.target.closest && e.target.closest('[hx-state-on-hover]');
+    if (!el || el.getAttribute('hx-state-hover-focus') === 'false') return;
+    activateHover(el, 'focused');
+  });
+
+  document.addEventListener('focusout', function(e) {
+    var el = e.target.closest && e.target.closest('[hx-state-on-hover]');
+    if (!el || el.contains(e.relatedTarget)) return;
+    if (hoverState(el).focused) deactivateHover(el, 'focused', hoverConfig(el).leave);
+  });
+
+  document.addEventListener('pointerdown', function(e) {
+    if (e.pointerType !== 'touch') return;
+
+    // A tap elsewhere clears touch-opened elements
+    touchOpen.forEach(function(open) {
+      if (open.isConnected && open.contains(e.target)) return;
+      touchOpen.delete(open);
+      deactivateHover(open, 'touched', 0);
+    });
+
     var el = e.target.closest('[hx-state-on-hover]');
     if (!el) return;
+    var config = hoverConfig(el);
+    var state = hoverState(el);
 
-    var attr = el.getAttribute('hx-state-on-hover').trim();
-    var colonIdx = attr.indexOf(':');
-    var key = colonIdx === -1 ? attr : attr.slice(0, colonIdx).trim();
+    // touch="none" leaves the emulated mouse events to do the work
+    if (config.touch === 'tap' || config.touch === 'longpress') state.lastTouch = Date.now();
 
-    var container = findStateContainer(el, key);
-    if (!container) return;
+    if (config.touch === 'tap') {
+      if (state.touched) {
+        touchOpen.delete(el);
+        deactivateHover(el, 'touched', 0);
+      } else {
+        touchOpen.add(el);
+        activateHover(el, 'touched');
+      }
+    } else if (config.touch === 'longpress') {
+      state.press = { x: e.clientX, y: e.clientY };
+      state.press.timer = setTimeout(function() {
+        state.press = null;
+        state.longPressed = Date.now();
+        touchOpen.add(el);
+        activateHover(el, 'touched');
+      }, config.longPress);
+    }
+  });
+
+  function cancelLongPress(e) {
+    var el = e.target.closest && e.target.closest('[hx-state-on-hover]');
+    var state = el && hoverStates.get(el);
+    if (!state || !state.press) return;
+    if (e.type === 'pointermove' && Math.abs(e.clientX - state.press.x) + Math.abs(e.clientY - state.press.y) < 10) return;
+    clearTimeout(state.press.timer);
+    state.press = null;
+  }
 
-    var timers = hoverTimers.get(el) || {};
-    if (timers.enter) { clearTimeout(timers.enter); timers.enter = null; }
+  document.addEventListener('pointermove', cancelLongPress, { passive: true });
+  document.addEventListener('pointerup', cancelLongPress);
+  document.addEventListener('pointercancel', cancelLongPress);
 
-    // Small delay on leave to allow moving into tooltip content
-    timers.leave = setTimeout(function() {
-      container.setAttribute('data-state-' + key, 'false');
-      persistState(container, key, 'false');
-      container.dispatchEvent(new CustomEvent('htmx-r:state-change', {
-        detail: { key: key, value: 'false', element: el },
-        bubbles: true
-      }));
-    }, 100);
-    hoverTimers.set(el, timers);
-  }, true);
+  // Suppress the context menu / callout that follows a long-press
+  document.addEventListener('contextmenu', function(e) {
+    var el = e.target.closest && e.target.closest('[hx-state-on-hover]');
+    var state = el && hoverStates.get(el);
+    if (state && state.longPressed && Date.now() - state.longPressed < 1000) e.preventDefault();
+  });
 
   // ── KEYBOARD NAVIGATION (v1.2) ──────────────────────────────────────
 
@@ -659,63 +1466,184 @@
    *
    * Works with data-class-when for highlighting the active item.
    * The container must be focusable (tabindex="0") or contain a focused input.
+   *
+   * Options (v1.3):
+   *   data-key-nav-orientation="vertical|horizontal|grid"
+   *                                   Arrow keys used (grid: all four; rows are
+   *                                   data-key-nav-columns wide, or measured)
+   *   data-key-nav-typeahead="false"  Disable jumping to an item by typing its
+   *                                   first letters (data-key-nav-label or text)
+   *   data-key-nav-focus="roving"     Roving tabindex: the active item is the
+   *                                   only tabbable one and receives focus
+   *   data-key-nav-focus="activedescendant"
+   *                                   Focus stays on the combobox input (or the
+   *                                   container), which gets aria-activedescendant
+   *
+   * Items with aria-disabled="true" or disabled are skipped. The active index
+   * is clamped back into range when an htmx swap changes the items. Inside a
+   * text field only Up/Down and Enter navigate; typing, Left/Right and
+   * Home/End are left to the field.
    */
+  var TYPEAHEAD_RESET = 500;   // ms of quiet before a new typeahead search starts
+  var typeahead = new WeakMap();   // nav → { text, timer }
+  var keyNavIds = 0;
+
+  function navItems(nav) {
+    return Array.from(nav.querySelectorAll('[data-key-nav-item]'));
+  }
+
+  function isDisabledItem(item) {
+    return item.getAttribute('aria-disabled') === 'true' || item.hasAttribute('disabled');
+  }
+
+  // Step from index by delta until an enabled item is found
+  function nextEnabled(items, index, delta, wrap) {
+    for (var step = 0; step < items.length; step++) {
+      index += delta;
+      if (wrap) index = (index + items.length) % items.length;
+      if (index < 0 || index >= items.length) return -1;
+      if (!isDisabledItem(items[index])) return index;
+    }
+    return -1;
+  }
+
+  function gridColumns(nav, items) {
+    var columns = parseInt(nav.getAttribute('data-key-nav-columns'), 10);
+    if (columns > 0) return columns;
+    var top = items[0].offsetTop;
+    var count = items.findIndex(function(item) { return item.offsetTop !== top; });
+    return count > 0 ? count : items.length;
+  }
+
+  function itemLabel(item) {
+    return (item.getAttribute('data-key-nav-label') || item.textContent).trim().toLowerCase();
+  }
+
+  // Search forward from the active item; repeating one letter cycles through matches
+  function typeaheadMatch(nav, items, current, char) {
+    var search = typeahead.get(nav) || { text: '', timer: null };
+    clearTimeout(search.timer);
+    search.text += char.toLowerCase();
+    search.timer = setTimeout(function() { typeahead.delete(nav); }, TYPEAHEAD_RESET);
+    typeahead.set(nav, search);
+
+    var cycling = search.text.split('').every(function(c) { return c === search.text[0]; });
+    var text = cycling ? search.text[0] : search.text;
+    var start = cycling || current < 0 ? current + 1 : current;
+
+    for (var i = 0; i < items.length; i++) {
+      var index = (start + i) % items.length;
+      if (!isDisabledItem(items[index]) && itemLabel(items[index]).indexOf(text) === 0) return index;
+    }
+    return -1;
+  }
+
+  // Reflect the active index through the chosen focus model
+  function syncKeyNavFocus(nav, key) {
+    var mode = nav.getAttribute('data-key-nav-focus');
+    if (!mode) return;
+    var items = navItems(nav);
+    var current = parseInt(nav.getAttribute('data-state-' + key), 10) || 0;
+
+    if (mode === 'roving') {
+      items.forEach(function(item, i) { item.setAttribute('tabindex', i === current ? '0' : '-1'); });
+    } else if (mode === 'activedescendant') {
+      var owner = nav.querySelector('[role="combobox"], input') || nav;
+      var active = items[current];
+      if (active && !active.id) active.id = 'htmxr-nav-item-' + (++keyNavIds);
+      if (active) owner.setAttribute('aria-activedescendant', active.id);
+      else owner.removeAttribute('aria-activedescendant');
+    }
+  }
+
+  function moveKeyNav(nav, key, items, next, source) {
+    commitState(nav, key, String(next), nav, 'local', source);
+
+    if (nav.getAttribute('data-key-nav-focus') === 'roving') items[next].focus();
+
+    // Scroll active item into view
+    if (items[next].scrollIntoView) {
+      items[next].scrollIntoView({ block: 'nearest' });
+    }
+  }
+
+  var NAV_KEYS = {
+    vertical:   { ArrowDown: 'next', ArrowUp: 'prev' },
+    horizontal: { ArrowRight: 'next', ArrowLeft: 'prev' },
+    grid:       { ArrowRight: 'next', ArrowLeft: 'prev', ArrowDown: 'down', ArrowUp: 'up' }
+  };
+
   document.addEventListener('keydown', function(e) {
     var nav = e.target.closest('[data-key-nav]');
     if (!nav) return;
 
-    var validKeys = ['ArrowUp', 'ArrowDown', 'Enter', 'Home', 'End'];
-    if (validKeys.indexOf(e.key) === -1) return;
-
     var key = nav.getAttribute('data-key-nav').trim();
-    var items = nav.querySelectorAll('[data-key-nav-item]');
+    var items = navItems(nav);
     if (items.length === 0) return;
 
-    var current = parseInt(nav.getAttribute('data-state-' + key), 10) || 0;
-    var next = current;
-
-    switch (e.key) {
-      case 'ArrowDown':
-        next = (current + 1) % items.length;
-        e.preventDefault();
-        break;
-      case 'ArrowUp':
-        next = (current - 1 + items.length) % items.length;
-        e.preventDefault();
-        break;
-      case 'Home':
-        next = 0;
-        e.preventDefault();
-        break;
-      case 'End':
-        next = items.length - 1;
-        e.preventDefault();
-        break;
-      case 'Enter':
-        if (items[current]) {
-          items[current].click();
-        }
-        e.preventDefault();
-        return;
+    var orientation = NAV_KEYS[nav.getAttribute('data-key-nav-orientation')] ? nav.getAttribute('data-key-nav-orientation') : 'vertical';
+    var move = NAV_KEYS[orientation][e.key];
+    var current = Math.min(parseInt(nav.getAttribute('data-state-' + key), 10) || 0, items.length - 1);
+    var next = -1;
+
+    // In a text field (a combobox input), Left/Right/Home/End and printable
+    // keys belong to the caret and the text; only Up/Down and Enter navigate
+    var editing = e.target.nodeType === 1 && isTextField(e.target);
+    if (editing && (e.key === 'ArrowLeft' || e.key === 'ArrowRight' || e.key === 'Home' || e.key === 'End')) return;
+
+    if (move === 'next' || move === 'prev') {
+      next = nextEnabled(items, current, move === 'next' ? 1 : -1, orientation !== 'grid');
+    } else if (move === 'down' || move === 'up') {
+      next = nextEnabled(items, current, (move === 'down' ? 1 : -1) * gridColumns(nav, items), false);
+    } else if (e.key === 'Home') {
+      next = nextEnabled(items, -1, 1, false);
+    } else if (e.key === 'End') {
+      next = nextEnabled(items, items.length, -1, false);
+    } else if (e.key === 'Enter') {
+      if (items[current] && !isDisabledItem(items[current])) {
+        items[current].click();
+      }
+      e.preventDefault();
+      return;
+    } else if (e.key.length === 1 && e.key !== ' ' && !e.ctrlKey && !e.metaKey && !e.altKey &&
+               nav.getAttribute('data-key-nav-typeahead') !== 'false' && !editing) {
+      next = typeaheadMatch(nav, items, current, e.key);
+      // Keys that don't move the active item keep their default action
+      if (next === -1 || next === current) return;
+    } else {
+      return;
     }
 
-    if (next !== current) {
-      var value = String(next);
-      nav.setAttribute('data-state-' + key, value);
-      persistState(nav, key, value);
-      syncToURL(nav, key, value);
-      nav.dispatchEvent(new CustomEvent('htmx-r:state-change', {
-        detail: { key: key, value: value, element: nav },
-        bubbles: true
-      }));
+    e.preventDefault();
+    if (next !== -1 && next !== current) moveKeyNav(nav, key, items, next, e.type);
+  });
 
-      // Scroll active item into view
-      if (items[next] && items[next].scrollIntoView) {
-        items[next].scrollIntoView({ block: 'nearest' });
-      }
+  document.addEventListener('htmx-r:state-change', function(e) {
+    var nav = e.target;
+    if (nav.hasAttribute('data-key-nav') && nav.getAttribute('data-key-nav').trim() === e.detail.key) {
+      syncKeyNavFocus(nav, e.detail.key);
     }
   });
 
+  // Clamp the active index (and refresh the focus model) after swaps change the items
+  document.addEventListener('htmx:afterSettle', function(e) {
+    document.querySelectorAll('[data-key-nav]').forEach(function(nav) {
+      var key = nav.getAttribute('data-key-nav').trim();
+      var items = navItems(nav);
+      if (!items.length || !nav.hasAttribute('data-state-' + key)) return;
+
+      var current = parseInt(nav.getAttribute('data-state-' + key), 10) || 0;
+      var clamped = Math.min(Math.max(current, 0), items.length - 1);
+      if (isDisabledItem(items[clamped])) {
+        var after = nextEnabled(items, clamped, 1, false);
+        clamped = after !== -1 ? after : Math.max(nextEnabled(items, clamped, -1, false), 0);
+      }
+
+      if (clamped !== current) commitState(nav, key, String(clamped), nav, 'local', e.type);
+      else syncKeyNavFocus(nav, key);
+    });
+  });
+
   // ── CSS TRANSITIONS (v1.2) ──────────────────────────────────────────
 
   /**
@@ -737,13 +1665,21 @@
    *   "slide-up"   — translateY(8px)→0 + opacity
    *   "scale"      — scale(0.95)→1 + opacity
    *
-   * Custom classes (advanced):
+   * Custom classes (advanced), e.g. Tailwind — used instead of, or on top of, a preset:
    *   data-transition-enter="opacity-0"
    *   data-transition-enter-active="transition-opacity duration-200"
    *   data-transition-enter-to="opacity-100"
    *   data-transition-leave="opacity-100"
    *   data-transition-leave-active="transition-opacity duration-200"
    *   data-transition-leave-to="opacity-0"
+   *
+   * The start class is applied first, then swapped for the active and "to"
+   * classes; the run completes on transitionend/animationend (with a timeout
+   * from the computed durations as a fallback). Toggling back mid-animation
+   * reverses from the current position. With prefers-reduced-motion: reduce
+   * elements show and hide instantly. htmx-r:transition-start and
+   * htmx-r:transition-end fire with { direction: "enter" | "leave" }; end
+   * also carries cancelled: true when a run is interrupted.
    */
   var transitionPresets = {
     'fade': {
@@ -801,156 +1737,3014 @@
     document.head.appendChild(style);
   }
 
-  // Override the data-when handler to support transitions
-  // We patch the state-change listener to intercept data-when elements that have data-transition
-  document.addEventListener('htmx-r:state-change', function(e) {
-    var key = e.detail.key;
-    var value = e.detail.value;
-    var container = e.target;
+  // Element → the enter/leave run in progress
+  var transitionRuns = new WeakMap();
+
+  function hasTransition(el) {
+    return el.hasAttribute('data-transition') ||
+           el.hasAttribute('data-transition-enter-active') || el.hasAttribute('data-transition-leave-active');
+  }
 
-    var whenElements = container.querySelectorAll('[data-when^="' + key + ':"][data-transition]');
-    whenElements.forEach(function(el) {
-      var whenAttr = el.getAttribute('data-when');
-      var whenValue = whenAttr.substring(key.length + 1);
-      var preset = el.getAttribute('data-transition');
-      var durationMs = parseInt(el.getAttribute('data-transition-duration'), 10) || 150;
+  function splitClasses(str) {
+    return (str || '').split(/\s+/).filter(Boolean);
+  }
 
-      // Set CSS variable for duration
-      el.style.setProperty('--htmxr-duration', durationMs + 'ms');
+  // Custom class attributes override the preset's classes
+  function transitionClasses(el) {
+    var preset = transitionPresets[el.getAttribute('data-transition')] || {};
+    function pick(attr, fallback) {
+      return splitClasses(el.hasAttribute(attr) ? el.getAttribute(attr) : fallback);
+    }
+    return {
+      enter: pick('data-transition-enter', preset.enter),
+      enterActive: pick('data-transition-enter-active', preset.enterActive),
+      enterTo: pick('data-transition-enter-to'),
+      leave: pick('data-transition-leave', preset.leave),
+      leaveActive: pick('data-transition-leave-active', preset.leaveActive),
+      leaveTo: pick('data-transition-leave-to')
+    };
+  }
 
-      var classes = transitionPresets[preset];
-      if (!classes) return; // not a recognized preset, skip
+  function prefersReducedMotion() {
+    return !!(window.matchMedia && window.matchMedia('(prefers-reduced-motion: reduce)').matches);
+  }
 
-      // Mark this element so the default data-when handler skips it
-      el.setAttribute('data-htmxr-transitioning', 'true');
+  // Longest delay + duration of the element's CSS transitions and animations, in ms
+  function transitionTotal(el) {
+    var style = getComputedStyle(el);
+    function toMs(value) {
+      value = value.trim();
+      return /ms$/.test(value) ? parseFloat(value) : (parseFloat(value) * 1000 || 0);
+    }
+    function longest(durations, delays) {
+      var d = (durations || '0s').split(',');
+      var waits = (delays || '0s').split(',');
+      return Math.max.apply(null, d.map(function(duration, i) { return toMs(duration) + toMs(waits[i % waits.length]); }));
+    }
+    return Math.max(longest(style.transitionDuration, style.transitionDelay),
+                    longest(style.animationDuration, style.animationDelay));
+  }
 
-      if (whenValue === value) {
-        // ENTER: show with transition
-        el.style.display = '';
-        el.removeAttribute('data-htmx-r-hidden');
+  function fireTransitionEvent(el, name, detail) {
+    el.dispatchEvent(new CustomEvent('htmx-r:transition-' + name, { detail: detail, bubbles: true }));
+  }
 
-        // Apply enter start state
-        el.classList.add(classes.enter);
-        el.classList.remove(classes.leaveActive, classes.leave);
+  // Run an enter or leave transition. A run in the opposite direction is
+  // cancelled; if it had already started animating, the new run continues
+  // from the current computed styles instead of snapping to its start state.
+  function runTransition(el, direction) {
+    var previous = transitionRuns.get(el);
+    var reversing = !!(previous && previous.animating);
+    if (previous) previous.cancel();
+
+    var classes = transitionClasses(el);
+    var from = classes[direction];
+    var active = classes[direction + 'Active'].concat(classes[direction + 'To']);
+    var frame = null, timer = null, started = 0, total = 0;
+
+    el.setAttribute('data-htmxr-transitioning', 'true');
+    if (direction === 'enter') {
+      el.style.display = '';
+      el.removeAttribute('data-htmx-r-hidden');
+    }
 
-        requestAnimationFrame(function() {
-          requestAnimationFrame(function() {
-            el.classList.remove(classes.enter);
-            el.classList.add(classes.enterActive);
-          });
-        });
+    function onEnd(e) {
+      // Several properties may end; wait for the longest one
+      if (e.target === el && Date.now() - started >= total - 34) finish();
+    }
 
-        // Clean up after transition
-        setTimeout(function() {
-          el.classList.remove(classes.enterActive);
-          el.removeAttribute('data-htmxr-transitioning');
-        }, durationMs + 20);
-
-      } else if (el.style.display !== 'none' && !el.hasAttribute('data-htmx-r-hidden')) {
-        // LEAVE: hide with transition (only if currently visible)
-        el.classList.add(classes.leave);
-        el.classList.remove(classes.enterActive, classes.enter);
-
-        requestAnimationFrame(function() {
-          requestAnimationFrame(function() {
-            el.classList.remove(classes.leave);
-            el.classList.add(classes.leaveActive);
-          });
-        });
+    function cleanup() {
+      cancelAnimationFrame(frame);
+      clearTimeout(timer);
+      el.removeEventListener('transitionend', onEnd);
+      el.removeEventListener('animationend', onEnd);
+      from.concat(active).forEach(function(cls) { el.classList.remove(cls); });
+      el.removeAttribute('data-htmxr-transitioning');
+      transitionRuns.delete(el);
+    }
 
-        setTimeout(function() {
-          el.style.display = 'none';
-          el.setAttribute('data-htmx-r-hidden', 'true');
-          el.classList.remove(classes.leaveActive);
-          el.removeAttribute('data-htmxr-transitioning');
-        }, durationMs + 20);
+    function finish() {
+      cleanup();
+      if (direction === 'leave') {
+        el.style.display = 'none';
+        el.setAttribute('data-htmx-r-hidden', 'true');
       }
-    });
-  });
+      fireTransitionEvent(el, 'end', { direction: direction, cancelled: false });
+    }
 
-  // ── INITIALIZATION ────────────────────────────────────────────────────
+    function animate() {
+      from.forEach(function(cls) { el.classList.remove(cls); });
+      active.forEach(function(cls) { el.classList.add(cls); });
+      run.animating = true;
+      started = Date.now();
+      total = transitionTotal(el);
+      if (!total) return finish();
+
+      el.addEventListener('transitionend', onEnd);
+      el.addEventListener('animationend', onEnd);
+      timer = setTimeout(finish, total + 50);   // in case no end event fires
+    }
 
-  // Find all state containers in a subtree (universal — no hardcoded names)
-  function findStateContainersIn(root) {
-    const containers = [];
-    const elements = root.querySelectorAll ? root.querySelectorAll('*') : [];
-    elements.forEach(el => {
-      for (let i = 0; i < el.attributes.length; i++) {
-        if (el.attributes[i].name.startsWith('data-state-')) {
-          containers.push(el);
-          break;
-        }
+    var run = {
+      direction: direction,
+      animating: false,
+      cancel: function() {
+        cleanup();
+        fireTransitionEvent(el, 'end', { direction: direction, cancelled: true });
       }
+    };
+    transitionRuns.set(el, run);
+    fireTransitionEvent(el, 'start', { direction: direction });
+
+    if (prefersReducedMotion()) return finish();
+    if (reversing) return animate();
+
+    // Start state first; switch to the active/to classes two frames later
+    from.forEach(function(cls) { el.classList.add(cls); });
+    frame = requestAnimationFrame(function() {
+      frame = requestAnimationFrame(animate);
     });
-    // Check root itself
-    if (root.attributes) {
-      for (let i = 0; i < root.attributes.length; i++) {
-        if (root.attributes[i].name.startsWith('data-state-')) {
-          containers.push(root);
-          break;
-        }
-      }
-    }
-    return containers;
   }
 
-  // Initialize state containers: restore persisted state and trigger sync
-  function initStateContainers(containers) {
-    containers.forEach(container => {
-      // Restore from URL first (highest priority)
-      restoreFromURL(container);
+  // Animated counterpart of applyWhen for data-when elements with data-transition
+  function applyTransition(el, lookup) {
+    var condition = compileCondition(el.getAttribute('data-when'));
+    if (!condition) return;
 
-      // Then restore from localStorage
-      restoreState(container);
+    var durationMs = parseInt(el.getAttribute('data-transition-duration'), 10) || 150;
 
-      // Trigger initial state sync for all state attributes
-      // This fires htmx-r:state-change for each key, which drives
-      // data-when, data-state-text, data-class-when, and data-state-value
-      Array.from(container.attributes).forEach(attr => {
-        if (attr.name.startsWith('data-state-')) {
-          const key = attr.name.replace('data-state-', '');
-          const value = attr.value;
-
-          container.dispatchEvent(new CustomEvent('htmx-r:state-change', {
-            detail: { key, value, element: container },
-            bubbles: true
-          }));
-        }
-      });
-    });
-  }
+    // Set CSS variable for duration
+    el.style.setProperty('--htmxr-duration', durationMs + 'ms');
 
-  // Initialize state-dependent elements on page load
-  document.addEventListener('DOMContentLoaded', function() {
-    initStateContainers(findStateContainersIn(document));
-  });
+    var run = transitionRuns.get(el);
+    var hidden = el.style.display === 'none' || el.hasAttribute('data-htmx-r-hidden');
+    var direction = isTruthy(evalExpr(condition.ast, lookup)) ? 'enter' : 'leave';
 
-  // Re-initialize after HTMX swaps (new content may have state containers)
-  document.addEventListener('htmx:afterSettle', function(e) {
-    const target = e.detail.target || e.target;
-    initStateContainers(findStateContainersIn(target));
-  });
+    // Nothing to do if already there or already heading there (another key changed)
+    if (run ? run.direction === direction : hidden === (direction === 'leave')) return;
+    runTransition(el, direction);
+  }
 
-  // Helper: Get/set state programmatically
-  window.htmxR = {
-    getState: function(element, key) {
-      const container = findStateContainer(element, key);
-      return container ? container.getAttribute('data-state-' + key) : null;
-    },
+  // ── EXPRESSIONS (v1.3) ──────────────────────────────────────────────
 
-    setState: function(element, key, value) {
-      const container = findStateContainer(element, key);
-      if (container) {
-        container.setAttribute('data-state-' + key, value);
-        persistState(container, key, value);
-        syncToURL(container, key, value);
-        container.dispatchEvent(new CustomEvent('htmx-r:state-change', {
-          detail: { key, value, element },
-          bubbles: true
-        }));
+  /**
+   * Small expression language used by derived state.
+   *
+   * Expressions are tokenized and parsed once into a tree, then interpreted
+   * against state lookups. Nothing is passed to eval/new Function, so it works
+   * under a strict Content-Security-Policy and cannot reach globals.
+   *
+   * Grammar (lowest → highest precedence):
+   *   test ? a : b                 ternary
+   *   a || b                       boolean OR (short-circuit)
+   *   a && b                       boolean AND (short-circuit)
+   *   == != < <= > >=              comparison (numeric when both sides are numbers);
+   *                                === and !== are accepted as aliases of == and !=
+   *   a in [x, y]                  membership; bare words in the list are strings
+   *   + -                          addition / string concatenation, subtraction
+   *   * / %                        arithmetic
+   *   !a  -a                       unary NOT / negation
+   *   key  key.length  'text'  42  true  false  null  ( ... )
+   *
+   * Identifiers are state keys and may contain hyphens (char-count), so
+   * subtraction needs spaces around the operator: "total - used". Dot paths
+   * read inside JSON values: user.plan, items.0.name, tags.length.
+   * State values are strings; "", "false", "0", "null" and "undefined" are falsy.
+   * Keys declared with data-state-type-{key} are read as numbers, booleans or
+   * parsed JSON instead (.length of a JSON array is its item count).
+   */
+  var exprCache = new Map();
+
+  var EXPR_OPERATORS = ['===', '!==', '==', '!=', '<=', '>=', '&&', '||', '<', '>', '+', '-', '*', '/', '%', '!', '?', ':', '(', ')', '[', ']', ',', '.'];
+
+  function tokenizeExpr(src) {
+    var tokens = [];
+    var i = 0;
+
+    while (i < src.length) {
+      var rest = src.slice(i);
+      var ch = src[i];
+      var match;
+
+      if (/\s/.test(ch)) { i++; continue; }
+
+      if (ch === '"' || ch === "'") {
+        var end = src.indexOf(ch, i + 1);
+        if (end === -1) throw new Error('unterminated string');
+        tokens.push({ type: 'str', value: src.slice(i + 1, end) });
+        i = end + 1;
+        continue;
+      }
+
+      if ((match = /^\d+(\.\d+)?/.exec(rest))) {
+        tokens.push({ type: 'num', value: parseFloat(match[0]) });
+        i += match[0].length;
+        continue;
+      }
+
+      if ((match = /^[A-Za-z_$][\w$]*([-.][\w$]+)*/.exec(rest))) {
+        tokens.push({ type: 'ident', value: match[0] });
+        i += match[0].length;
+        continue;
+      }
+
+      var op = null;
+      for (var j = 0; j < EXPR_OPERATORS.length; j++) {
+        if (rest.indexOf(EXPR_OPERATORS[j]) === 0) { op = EXPR_OPERATORS[j]; break; }
+      }
+      if (!op) throw new Error('unexpected "' + ch + '"');
+      tokens.push({ type: 'op', value: op === '===' ? '==' : op === '!==' ? '!=' : op });
+      i += op.length;
+    }
+
+    return tokens;
+  }
+
+  // Recursive-descent parser producing a plain object tree
+  function parseExpr(src) {
+    var tokens = tokenizeExpr(src);
+    var pos = 0;
+
+    function peek(value) {
+      var t = tokens[pos];
+      return t && t.type === 'op' && t.value === value;
+    }
+
+    function expect(value) {
+      if (!peek(value)) throw new Error('expected "' + value + '"');
+      pos++;
+    }
+
+    function binary(next, ops) {
+      return function() {
+        var node = next();
+        while (tokens[pos] && tokens[pos].type === 'op' && ops.indexOf(tokens[pos].value) !== -1) {
+          var op = tokens[pos++].value;
+          node = { type: 'binary', op: op, left: node, right: next() };
+        }
+        return node;
+      };
+    }
+
+    function primary() {
+      var t = tokens[pos++];
+      if (!t) throw new Error('unexpected end of expression');
+
+      if (t.type === 'num' || t.type === 'str') return { type: 'literal', value: t.value };
+      if (t.type === 'ident') {
+        if (t.value === 'true')  return { type: 'literal', value: true };
+        if (t.value === 'false') return { type: 'literal', value: false };
+        if (t.value === 'null')  return { type: 'literal', value: null };
+        return { type: 'key', name: t.value };
+      }
+      if (t.value === '(') {
+        var inner = ternary();
+        expect(')');
+        return inner;
+      }
+      throw new Error('unexpected "' + t.value + '"');
+    }
+
+    function member() {
+      var node = primary();
+      while (peek('.')) {
+        pos++;
+        var prop = tokens[pos++];
+        if (!prop || prop.value !== 'length') throw new Error('only .length is supported');
+        node = { type: 'length', arg: node };
+      }
+      return node;
+    }
+
+    function unary() {
+      if (peek('!')) { pos++; return { type: 'not', arg: unary() }; }
+      if (peek('-')) { pos++; return { type: 'negate', arg: unary() }; }
+      return member();
+    }
+
+    var multiplicative = binary(unary, ['*', '/', '%']);
+    var additive       = binary(multiplicative, ['+', '-']);
+    // a in [x, 'y', 3]
+    function membership() {
+      var node = additive();
+      if (!tokens[pos] || tokens[pos].type !== 'ident' || tokens[pos].value !== 'in') return node;
+      pos++;
+
+      expect('[');
+      var items = [];
+      while (!peek(']')) {
+        var t = tokens[pos++];
+        if (!t || t.type === 'op') throw new Error('expected a list item');
+        items.push({ type: 'literal', value: t.value });
+        if (!peek(']')) expect(',');
+      }
+      pos++;
+
+      return { type: 'in', arg: node, items: items };
+    }
+
+    var comparison     = binary(membership, ['==', '!=', '<', '<=', '>', '>=']);
+    var logicalAnd     = binary(comparison, ['&&']);
+    var logicalOr      = binary(logicalAnd, ['||']);
+
+    function ternary() {
+      var test = logicalOr();
+      if (!peek('?')) return test;
+      pos++;
+      var consequent = ternary();
+      expect(':');
+      return { type: 'ternary', test: test, consequent: consequent, alternate: ternary() };
+    }
+
+    var ast = ternary();
+    if (pos < tokens.length) throw new Error('unexpected "' + tokens[pos].value + '"');
+    return ast;
+  }
+
+  // Collect the state keys an expression reads
+  function exprDeps(node, deps) {
+    if (!node) return deps;
+    if ((node.type === 'key' || node.type === 'match') && deps.indexOf(node.name) === -1) {
+      deps.push(node.name);
+    }
+    exprDeps(node.arg, deps);
+    exprDeps(node.left, deps);
+    exprDeps(node.right, deps);
+    exprDeps(node.test, deps);
+    exprDeps(node.consequent, deps);
+    exprDeps(node.alternate, deps);
+    return deps;
+  }
+
+  // Parse (cached) → { ast, deps }, or null if the expression is invalid
+  function compileExpr(src) {
+    if (exprCache.has(src)) return exprCache.get(src);
+
+    var compiled = null;
+    try {
+      var ast = parseExpr(src);
+      compiled = { ast: ast, deps: exprDeps(ast, []) };
+    } catch (e) {
+      console.warn('HTMX-R: Invalid expression "' + src + '": ' + e.message);
+    }
+
+    exprCache.set(src, compiled);
+    return compiled;
+  }
+
+  function toNumber(value) {
+    if (typeof value === 'number') return value;
+    if (typeof value === 'boolean') return value ? 1 : 0;
+    if (value === null || value === undefined || String(value).trim() === '') return NaN;
+    return Number(value);
+  }
+
+  function isTruthy(value) {
+    if (typeof value === 'string') {
+      return ['', 'false', '0', 'null', 'undefined'].indexOf(value) === -1;
+    }
+    return !!value;
+  }
+
+  function exprToString(value) {
+    if (value === null || value === undefined) return '';
+    if (typeof value === 'number' && !isFinite(value)) return '';
+    if (typeof value === 'object') return JSON.stringify(value);
+    return String(value);
+  }
+
+  function compareValues(op, left, right) {
+    var l = toNumber(left);
+    var r = toNumber(right);
+    var numeric = !isNaN(l) && !isNaN(r);
+    if (!numeric) { l = exprToString(left); r = exprToString(right); }
+
+    switch (op) {
+      case '==': return l === r;
+      case '!=': return l !== r;
+      case '<':  return l < r;
+      case '<=': return l <= r;
+      case '>':  return l > r;
+      case '>=': return l >= r;
+    }
+  }
+
+  // Interpret a parsed expression; lookup(key) returns the current state value
+  function evalExpr(node, lookup) {
+    switch (node.type) {
+      case 'literal': return node.value;
+      case 'key':     return lookup(node.name);
+      case 'length':
+        var target = evalExpr(node.arg, lookup);
+        return Array.isArray(target) ? target.length : exprToString(target).length;
+      case 'not':     return !isTruthy(evalExpr(node.arg, lookup));
+      case 'negate':  return -toNumber(evalExpr(node.arg, lookup));
+      case 'match':   return exprToString(lookup(node.name)) === node.value;
+      case 'ternary':
+        return isTruthy(evalExpr(node.test, lookup))
+          ? evalExpr(node.consequent, lookup)
+          : evalExpr(node.alternate, lookup);
+      case 'in':
+        var needle = evalExpr(node.arg, lookup);
+        return node.items.some(function(item) { return compareValues('==', needle, item.value); });
+    }
+
+    var left = evalExpr(node.left, lookup);
+    if (node.op === '&&') return isTruthy(left) && isTruthy(evalExpr(node.right, lookup));
+    if (node.op === '||') return isTruthy(left) || isTruthy(evalExpr(node.right, lookup));
+
+    var right = evalExpr(node.right, lookup);
+    switch (node.op) {
+      case '+':
+        var l = toNumber(left), r = toNumber(right);
+        return !isNaN(l) && !isNaN(r) ? l + r : exprToString(left) + exprToString(right);
+      case '-': return toNumber(left) - toNumber(right);
+      case '*': return toNumber(left) * toNumber(right);
+      case '/': return toNumber(left) / toNumber(right);
+      case '%': return toNumber(left) % toNumber(right);
+      default:  return compareValues(node.op, left, right);
+    }
+  }
+
+  // ── CONDITIONS (v1.3) ───────────────────────────────────────────────
+
+  /**
+   * Conditions used by data-when and data-class-when.
+   *
+   * The original "key:value" form is an exact string match on one key and
+   * keeps working unchanged. Anything else is parsed as an expression, so
+   * conditions can combine several keys — even from different containers:
+   *
+   *   data-when="loading:false"                         exact match (original form)
+   *   data-when="status in [error, timeout]"
+   *   data-when="count > 0 && !loading"
+   *   data-when="status != 'idle' || retries >= 3"
+   *
+   * Each key resolves to the nearest ancestor declaring it, falling back to
+   * the most recently changed container that does, then the first one on the
+   * page. The condition is re-evaluated whenever any referenced key changes.
+   */
+  var conditionCache = new Map();
+
+  // "key:value" with a plain key — the original exact-match syntax
+  var LEGACY_CONDITION = /^\s*([A-Za-z_$][\w$.-]*)\s*:([\s\S]*)$/;
+
+  function compileCondition(src) {
+    if (conditionCache.has(src)) return conditionCache.get(src);
+
+    var compiled;
+    var legacy = LEGACY_CONDITION.exec(src);
+    if (legacy) {
+      compiled = matchCondition(legacy[1], legacy[2]);
+    } else {
+      compiled = compileExpr(src);
+    }
+
+    conditionCache.set(src, compiled);
+    return compiled;
+  }
+
+  function matchCondition(key, value) {
+    return { ast: { type: 'match', name: key, value: value }, deps: [key] };
+  }
+
+  // Resolve state keys relative to an element: nearest ancestor declaring the
+  // key, else the container that changed it last, else the first on the page
+  function stateLookupFrom(element) {
+    return function(name) {
+      var key = rootKey(name);
+
+      // Inside a data-state-each clone, "item"/"$index" come from the entry
+      var scope = itemScopeFor(element, key);
+      if (scope) return scopeLookup(scope, name);
+
+      var container = findStateContainer(element, key);
+      if (!container) {
+        var last = lastChanged.get(key);
+        container = last && last.isConnected && last.hasAttribute('data-state-' + key)
+          ? last
+          : document.querySelector('[data-state-' + key + ']');
+      }
+      return container ? readState(container, name) : null;
+    };
+  }
+
+  // Parse data-class-when: "key:value:classes" or "expression -> classes"
+  function parseClassWhen(attr) {
+    var arrow = attr.indexOf('->');
+    if (arrow !== -1) {
+      return {
+        condition: compileCondition(attr.slice(0, arrow).trim()),
+        classes: attr.slice(arrow + 2).trim().split(/\s+/).filter(Boolean)
+      };
+    }
+
+    // Use indexOf to support colons inside class names (e.g. hover:bg-blue-700)
+    var firstColon  = attr.indexOf(':');
+    var secondColon = attr.indexOf(':', firstColon + 1);
+    if (firstColon === -1 || secondColon === -1) return null;
+
+    return {
+      condition: matchCondition(attr.slice(0, firstColon).trim(), attr.slice(firstColon + 1, secondColon).trim()),
+      classes: attr.slice(secondColon + 1).trim().split(/\s+/).filter(Boolean)
+    };
+  }
+
+  // ── DERIVED STATE (v1.3) ────────────────────────────────────────────
+
+  /**
+   * data-state-computed-{key}="{expression}"  —  state derived from other keys
+   *
+   * Evaluates the expression and writes the result to data-state-{key} on the
+   * same container, so data-when, data-state-text and data-class-when treat it
+   * like any other key. Each referenced key resolves to the nearest container
+   * declaring it; whenever one of them changes (via htmx-r:state-change) the
+   * expression is re-evaluated and a state-change fires for the derived key.
+   *
+   * Usage:
+   *   <div data-state-char-count="0" data-state-agreed="false"
+   *        data-state-computed-can-submit="char-count > 0 && agreed"
+   *        hx-ext="reactive">
+   *     <input hx-state-on-input="char-count:length">
+   *     <input type="checkbox" hx-state-toggle="agreed">
+   *     <button data-when="can-submit:true">Submit</button>
+   *     <span data-state-text="can-submit">…</span>
+   *   </div>
+   *
+   * Derived keys may depend on other derived keys; cycles are cut off.
+   */
+  var COMPUTED_PREFIX = 'data-state-computed-';
+  var computedContainers = new Set();
+  var computeDepth = 0;
+
+  function computedDefs(container) {
+    var defs = [];
+    Array.from(container.attributes).forEach(function(attr) {
+      if (attr.name.indexOf(COMPUTED_PREFIX) !== 0) return;
+      var expr = compileExpr(attr.value);
+      if (expr) defs.push({ key: attr.name.slice(COMPUTED_PREFIX.length), expr: expr });
+    });
+    return defs;
+  }
+
+  function evaluateComputed(container, def) {
+    return exprToString(evalExpr(def.expr.ast, function(name) {
+      var source = findStateContainer(container, name);
+      return source ? readState(source, name) : null;
+    }));
+  }
+
+  // Re-evaluate derived keys that depend on changedKey (all of them if omitted)
+  function refreshComputed(container, changedKey, silent) {
+    if (computeDepth > 32) {
+      console.warn('HTMX-R: Derived state cycle detected on', container);
+      return;
+    }
+
+    computeDepth++;
+    try {
+      computedDefs(container).forEach(function(def) {
+        if (changedKey && !def.expr.deps.some(function(dep) { return pathsOverlap(dep, changedKey); })) return;
+
+        var value = evaluateComputed(container, def);
+        if (container.getAttribute('data-state-' + def.key) === value) return;
+
+        container.setAttribute('data-state-' + def.key, value);
+        if (!silent) dispatchStateChange(container, def.key, value, container, 'local', def.key, 'computed');
+      });
+    } finally {
+      computeDepth--;
+    }
+  }
+
+  // Register a container and write its initial derived values (no events;
+  // initStateContainers dispatches them along with the other keys)
+  function initComputed(container) {
+    for (var i = 0; i < container.attributes.length; i++) {
+      if (container.attributes[i].name.indexOf(COMPUTED_PREFIX) === 0) {
+        computedContainers.add(container);
+        refreshComputed(container, null, true);
+        return;
+      }
+    }
+  }
+
+  // ── BINDING ENGINE (v1.3) ───────────────────────────────────────────
+
+  /**
+   * One dispatcher drives every state → DOM binding.
+   *
+   * Bound elements (data-when, data-class-when, data-state-text,
+   * data-state-value, data-state-each, data-bind-*, hx-state-form), popover
+   * triggers and hx-state-after hosts are indexed by the keys or dot paths
+   * they reference.
+   * The index is built on load, extended after HTMX settles and kept
+   * current by a MutationObserver as nodes are added, removed or re-bound.
+   *
+   * A single htmx-r:state-change listener refreshes derived keys right away,
+   * then marks the key dirty. All keys changed in the same tick are flushed
+   * together in one microtask, and each affected element is updated once.
+   *
+   * To add a binding: list its attribute in BINDING_ATTRS, report its keys
+   * in bindingDeps and apply it in applyBindings.
+   */
+  var BINDING_ATTRS = ['data-when', 'data-class-when', 'data-state-text', 'data-state-value', 'data-state-each',
+                       'data-bind-attr', 'data-bind-style', 'hx-state-form', 'hx-state-popover', 'hx-state-after'];
+
+  var bindingIndex = new Map();       // root key → Map of key or path → Set of bound elements
+  var boundKeys = new WeakMap();      // bound element → paths it is indexed under
+  var lastChanged = new Map();        // key → container that changed it last
+  var dirtyPaths = new Set();
+  var flushScheduled = false;
+
+  function bindingSelector() {
+    return BINDING_ATTRS.map(function(name) { return '[' + name + ']'; }).join(', ');
+  }
+
+  // Keys referenced by an element's bindings
+  function bindingDeps(el) {
+    var deps = [];
+    function add(keys) {
+      keys.forEach(function(key) { if (deps.indexOf(key) === -1) deps.push(key); });
+    }
+
+    if (el.hasAttribute('data-when')) {
+      var condition = compileCondition(el.getAttribute('data-when'));
+      if (condition) add(condition.deps);
+    }
+    if (el.hasAttribute('data-class-when')) {
+      var parsed = parseClassWhen(el.getAttribute('data-class-when'));
+      if (parsed && parsed.condition) add(parsed.condition.deps);
+    }
+    if (el.hasAttribute('data-state-text'))  add([el.getAttribute('data-state-text').trim()]);
+    if (el.hasAttribute('data-state-value')) add([el.getAttribute('data-state-value').trim()]);
+    if (el.hasAttribute('data-state-each'))  add([parseEach(el.getAttribute('data-state-each')).key]);
+    if (el.hasAttribute('data-bind-attr'))   add(bindListDeps(parseBindList(el.getAttribute('data-bind-attr'), false)));
+    if (el.hasAttribute('data-bind-style'))  add(bindListDeps(parseBindList(el.getAttribute('data-bind-style'), true)));
+    if (el.hasAttribute('hx-state-form'))    add([el.getAttribute('hx-state-form').trim()]);
+    if (el.hasAttribute('hx-state-popover')) add([el.getAttribute('hx-state-popover').trim()]);
+    if (el.hasAttribute('hx-state-after'))   add(afterSpecs(el).map(function(after) { return after.key; }));
+
+    return deps;
+  }
+
+  function applyBindings(el) {
+    var lookup = stateLookupFrom(el);
+    if (el.hasAttribute('data-when'))        applyWhen(el, lookup);
+    if (el.hasAttribute('data-class-when'))  applyClassWhen(el, lookup);
+    if (el.hasAttribute('data-state-text'))  applyStateText(el, lookup);
+    if (el.hasAttribute('data-state-value')) applyStateValue(el, lookup);
+    if (el.hasAttribute('data-state-each'))  applyEach(el, lookup);
+    if (el.hasAttribute('data-bind-attr'))   applyBindAttr(el, lookup);
+    if (el.hasAttribute('data-bind-style'))  applyBindStyle(el, lookup);
+    if (el.hasAttribute('hx-state-form'))    applyForm(el, lookup);
+    if (el.hasAttribute('data-popover-placement')) applyPlacement(el);
+  }
+
+  function unindexElement(el) {
+    var keys = boundKeys.get(el);
+    if (!keys) return;
+
+    keys.forEach(function(key) {
+      var paths = bindingIndex.get(rootKey(key));
+      var bound = paths && paths.get(key);
+      if (!bound) return;
+      bound.delete(el);
+      if (bound.size === 0) paths.delete(key);
+      if (paths.size === 0) bindingIndex.delete(rootKey(key));
+    });
+    boundKeys.delete(el);
+  }
+
+  function indexElement(el) {
+    unindexElement(el);
+
+    var keys = bindingDeps(el);
+    if (keys.length === 0) return false;
+
+    keys.forEach(function(key) {
+      var root = rootKey(key);
+      if (!bindingIndex.has(root)) bindingIndex.set(root, new Map());
+      var paths = bindingIndex.get(root);
+      if (!paths.has(key)) paths.set(key, new Set());
+      paths.get(key).add(el);
+    });
+    boundKeys.set(el, keys);
+    return true;
+  }
+
+  // Index every bound element in a subtree; returns the indexed elements
+  function indexBindings(root) {
+    var indexed = [];
+    if (!root.querySelectorAll) return indexed;
+
+    var selector = bindingSelector();
+    if (root.matches && root.matches(selector) && indexElement(root)) indexed.push(root);
+    root.querySelectorAll(selector).forEach(function(el) {
+      if (indexElement(el)) indexed.push(el);
+    });
+    return indexed;
+  }
+
+  function unindexBindings(root) {
+    if (!root.querySelectorAll) return;
+    unindexElement(root);
+    root.querySelectorAll(bindingSelector()).forEach(unindexElement);
+  }
+
+  function flushBindings() {
+    flushScheduled = false;
+
+    // A changed path refreshes bindings on itself, its parents and its
+    // children; only paths under the same root key can overlap
+    var elements = new Set();
+    dirtyPaths.forEach(function(path) {
+      var paths = bindingIndex.get(rootKey(path));
+      if (!paths) return;
+      paths.forEach(function(bound, boundPath) {
+        if (pathsOverlap(boundPath, path)) bound.forEach(function(el) { elements.add(el); });
+      });
+    });
+    dirtyPaths.clear();
+
+    elements.forEach(function(el) {
+      if (!el.isConnected) {
+        unindexElement(el);
+        return;
+      }
+      applyBindings(el);
+    });
+  }
+
+  document.addEventListener('htmx-r:state-change', function(e) {
+    var key = e.detail.key;
+    var path = e.detail.path || key;
+    if (e.target.nodeType === 1) lastChanged.set(key, e.target);
+
+    // Derived keys update synchronously so getState() sees them immediately
+    computedContainers.forEach(function(container) {
+      if (!container.isConnected) {
+        computedContainers.delete(container);
+        return;
+      }
+      refreshComputed(container, path);
+    });
+
+    dirtyPaths.add(path);
+    if (!flushScheduled) {
+      flushScheduled = true;
+      queueMicrotask(flushBindings);
+    }
+  });
+
+  // Keep the index (and hx-state-on listeners) in step with DOM changes
+  // made outside HTMX swaps
+  var bindingObserver = new MutationObserver(function(records) {
+    records.forEach(function(record) {
+      if (record.type === 'attributes') {
+        if (record.attributeName === 'hx-state-hotkey') initHotkeys(record.target);
+        else if (indexElement(record.target)) applyBindings(record.target);
+        return;
+      }
+      record.removedNodes.forEach(function(node) {
+        if (node.nodeType === 1) unindexBindings(node);
+      });
+      record.addedNodes.forEach(function(node) {
+        if (node.nodeType !== 1 || !node.isConnected) return;
+        indexBindings(node).forEach(applyBindings);
+        initStateOn(node);
+        initHotkeys(node);
+      });
+    });
+  });
+
+  function observeBindings() {
+    bindingObserver.observe(document.documentElement, {
+      childList: true,
+      subtree: true,
+      attributes: true,
+      attributeFilter: BINDING_ATTRS.concat('hx-state-hotkey')
+    });
+  }
+
+  // ── LIST RENDERING (v1.3) ───────────────────────────────────────────
+
+  /**
+   * data-state-each="{key}"  —  stamp a <template> once per JSON array entry
+   *
+   * The element's child <template> (single root element) is cloned for each
+   * entry of the array held by {key}. Inside a clone, bindings and
+   * expressions can read the entry as "item" (or a custom alias) and its
+   * position as "$index". hx-* attributes in clones are processed by htmx.
+   *
+   * With data-key on the template root, entries are diffed by key: existing
+   * nodes are kept (with their focus, input and htmx state), moved and
+   * updated; only added entries are stamped and only removed ones discarded.
+   * Without data-key, entries are matched by position.
+   *
+   * Usage:
+   *   <div data-state-todos='[{"id":1,"title":"Milk","done":false}]' hx-ext="reactive">
+   *     <form hx-state-push="todos"><input name="title"><button>Add</button></form>
+   *     <ul data-state-each="todo in todos">
+   *       <template>
+   *         <li data-key="todo.id" data-class-when="todo.done:true:line-through">
+   *           <span data-state-text="todo.title"></span>
+   *           <button hx-state-remove="todos:$index">×</button>
+   *         </li>
+   *       </template>
+   *     </ul>
+   *   </div>
+   *
+   * Helpers:
+   *   hx-state-push="{key}:{value}"     On click, append a value (JSON or text)
+   *   hx-state-push="{key}"  (on form)  On submit, append the named fields as an object
+   *   hx-state-remove="{key}:{index}"   On click, remove an entry ($index inside a clone)
+   */
+  var itemScopes = new WeakMap();     // stamped root → { alias, value, index }
+
+  // "todo in todos" → { alias: 'todo', key: 'todos' }; "todos" → alias "item"
+  function parseEach(attr) {
+    var match = /^\s*([\w$]+)\s+in\s+(\S+)\s*$/.exec(attr);
+    return match ? { alias: match[1], key: match[2] } : { alias: 'item', key: attr.trim() };
+  }
+
+  // Nearest enclosing list entry that provides the given name
+  function itemScopeFor(element, name) {
+    var node = element.closest('[data-htmxr-item]');
+    while (node) {
+      var scope = itemScopes.get(node);
+      if (scope && (name === scope.alias || name === '$index')) return scope;
+      node = node.parentElement && node.parentElement.closest('[data-htmxr-item]');
+    }
+    return null;
+  }
+
+  function scopeLookup(scope, path) {
+    var segments = path.split('.');
+    if (segments[0] === '$index') return scope.index;
+    return getPath(scope.value, segments.slice(1));
+  }
+
+  function listItems(listEl, lookup, key) {
+    var items = parseStructured(lookup(key));
+    return Array.isArray(items) ? items : [];
+  }
+
+  function eachTemplate(listEl) {
+    for (var i = 0; i < listEl.children.length; i++) {
+      if (listEl.children[i].tagName === 'TEMPLATE') return listEl.children[i];
+    }
+    return null;
+  }
+
+  // Apply every binding inside a stamped entry (its scope may have changed)
+  function refreshItem(node) {
+    var selector = bindingSelector();
+    if (node.matches(selector)) applyBindings(node);
+    node.querySelectorAll(selector).forEach(applyBindings);
+  }
+
+  function applyEach(listEl, lookup) {
+    var spec = parseEach(listEl.getAttribute('data-state-each'));
+    var template = eachTemplate(listEl);
+    var proto = template && template.content.firstElementChild;
+    if (!proto) return;
+
+    var keyPath = proto.getAttribute('data-key');
+    var existing = new Map();
+    Array.from(listEl.children).forEach(function(child) {
+      if (itemScopes.has(child)) existing.set(child.getAttribute('data-htmxr-item'), child);
+    });
+
+    var prev = template;
+    listItems(listEl, lookup, spec.key).forEach(function(value, index) {
+      var scope = { alias: spec.alias, value: value, index: index };
+      var id = keyPath ? exprToString(scopeLookup(scope, keyPath)) : String(index);
+
+      var node = existing.get(id);
+      var fresh = !node;
+      if (fresh) {
+        node = proto.cloneNode(true);
+        node.setAttribute('data-htmxr-item', id);
+      }
+      existing.delete(id);
+      itemScopes.set(node, scope);
+
+      if (prev.nextSibling !== node) listEl.insertBefore(node, prev.nextSibling);
+      prev = node;
+
+      if (fresh) htmx.process(node);
+      refreshItem(node);
+    });
+
+    existing.forEach(function(node) { node.remove(); });
+  }
+
+  // Parse a literal list value: JSON if it parses, text otherwise
+  function parseItemValue(text) {
+    try {
+      return JSON.parse(text);
+    } catch (e) {
+      return text;
+    }
+  }
+
+  function updateList(element, key, update, source) {
+    var container = findStateContainer(element, key);
+    if (!container) return;
+
+    var items = parseStructured(readState(container, key));
+    commitState(container, key, update(Array.isArray(items) ? items.slice() : []), element, 'local', source);
+  }
+
+  document.addEventListener('click', function(e) {
+    var el = e.target.closest('[hx-state-push]');
+    if (!el || el.tagName === 'FORM') return;
+
+    var attr = el.getAttribute('hx-state-push');
+    var colonIdx = attr.indexOf(':');
+    if (colonIdx === -1) return;
+
+    var value = parseItemValue(attr.slice(colonIdx + 1).trim());
+    updateList(el, attr.slice(0, colonIdx).trim(), function(items) {
+      items.push(value);
+      return items;
+    }, e.type);
+  });
+
+  document.addEventListener('submit', function(e) {
+    var form = e.target;
+    if (!form.hasAttribute || !form.hasAttribute('hx-state-push')) return;
+    e.preventDefault();
+
+    var entry = {};
+    new FormData(form).forEach(function(value, name) { entry[name] = value; });
+    updateList(form, form.getAttribute('hx-state-push').trim(), function(items) {
+      items.push(entry);
+      return items;
+    }, e.type);
+    form.reset();
+  });
+
+  document.addEventListener('click', function(e) {
+    var el = e.target.closest('[hx-state-remove]');
+    if (!el) return;
+
+    var attr = el.getAttribute('hx-state-remove');
+    var colonIdx = attr.indexOf(':');
+    if (colonIdx === -1) return;
+
+    var token = attr.slice(colonIdx + 1).trim();
+    var scope = token === '$index' ? itemScopeFor(el, '$index') : null;
+    var index = scope ? scope.index : parseInt(token, 10);
+    if (isNaN(index)) return;
+
+    updateList(el, attr.slice(0, colonIdx).trim(), function(items) {
+      items.splice(index, 1);
+      return items;
+    }, e.type);
+  });
+
+  // ── ATTRIBUTE & STYLE BINDINGS (v1.3) ───────────────────────────────
+
+  /**
+   * data-bind-attr / data-bind-style  —  state → attributes, ARIA and inline styles
+   *
+   * Comma-separated "{name}:{expression}" entries, re-evaluated whenever a
+   * referenced key changes. Expressions use the data-when grammar, plus the
+   * shorthand "key=value" for an exact match.
+   *
+   * Usage:
+   *   data-bind-attr="aria-expanded:menu=open, disabled:loading"
+   *   data-bind-attr="href:'/users/' + user.id, title:user.name"
+   *   data-bind-style="--progress:percent%, width:size px"
+   *
+   * Attribute results:
+   *   aria-*                 "true" / "false" for booleans, otherwise the value
+   *   boolean attributes     (disabled, hidden, checked, …) present when truthy
+   *   value                  sets the .value property on form controls
+   *   anything else          the value as a string; removed when null/empty
+   *
+   * State can come from the URL, the server and other tabs, so event handler
+   * attributes (on*), srcdoc, style (use data-bind-style) and the htmx
+   * attributes that run code or make requests (hx-on*, hx-vals, hx-vars,
+   * hx-get/post/put/patch/delete, also with a data- prefix) cannot be bound.
+   * javascript:/data:/vbscript: values are refused for URL attributes (href,
+   * src, srcset, poster, ping, action, formaction, xlink:href and data on
+   * <object>) — the attribute is removed.
+   *
+   * Style results are set with style.setProperty (CSS variables work); a
+   * trailing unit ("%", "px", "rem", …) is appended. Null/empty removes it.
+   */
+  var BOOLEAN_ATTRS = ['disabled', 'hidden', 'checked', 'readonly', 'required', 'selected',
+                       'open', 'inert', 'multiple', 'autofocus', 'novalidate'];
+  var CSS_UNITS = /\s*(%|px|em|rem|vh|vw|vmin|vmax|ch|fr|deg|ms|s)$/;
+  var URL_ATTRS = ['href', 'src', 'poster', 'action', 'formaction', 'xlink:href'];
+  var UNSAFE_URL = /^(javascript|data|vbscript):/;
+  var HTMX_CODE_ATTR = /^(data-)?hx-(on($|[:-])|vals$|vars$|get$|post$|put$|patch$|delete$)/;
+  var bindListCache = new Map();
+
+  function isForbiddenAttr(name) {
+    name = name.toLowerCase();
+    return name.indexOf('on') === 0 || HTMX_CODE_ATTR.test(name) || name === 'srcdoc' || name === 'style';
+  }
+
+  // Browsers ignore whitespace and control characters inside the scheme
+  function isUnsafeURL(value) {
+    return UNSAFE_URL.test(value.replace(/[\u0000-\u0020]/g, '').toLowerCase());
+  }
+
+  // srcset and ping hold several URLs; every one of them is checked
+  function hasUnsafeURL(el, name, value) {
+    name = name.toLowerCase();
+    if (name === 'srcset') {
+      return value.split(',').some(function(candidate) { return isUnsafeURL(candidate.trim().split(/\s+/)[0]); });
+    }
+    if (name === 'ping') return value.trim().split(/\s+/).some(isUnsafeURL);
+    if (name === 'data' && el.tagName === 'OBJECT') return isUnsafeURL(value);
+    return URL_ATTRS.indexOf(name) !== -1 && isUnsafeURL(value);
+  }
+
+  // Split on commas that are not inside quotes, brackets or parentheses
+  function splitTopLevel(str) {
+    var parts = [];
+    var depth = 0;
+    var quote = null;
+    var start = 0;
+
+    for (var i = 0; i < str.length; i++) {
+      var ch = str[i];
+      if (quote) {
+        if (ch === quote) quote = null;
+      } else if (ch === '"' || ch === "'") {
+        quote = ch;
+      } else if (ch === '(' || ch === '[') {
+        depth++;
+      } else if (ch === ')' || ch === ']') {
+        depth--;
+      } else if (ch === ',' && depth === 0) {
+        parts.push(str.slice(start, i));
+        start = i + 1;
+      }
+    }
+    parts.push(str.slice(start));
+    return parts.map(function(p) { return p.trim(); }).filter(Boolean);
+  }
+
+  function canParse(src) {
+    try {
+      parseExpr(src);
+      return true;
+    } catch (e) {
+      return false;
+    }
+  }
+
+  // "name:expression" entries → [{ name, condition, unit }]
+  function parseBindList(attr, allowUnits) {
+    var cacheKey = (allowUnits ? 'style|' : 'attr|') + attr;
+    if (bindListCache.has(cacheKey)) return bindListCache.get(cacheKey);
+
+    var entries = splitTopLevel(attr).map(function(entry) {
+      // "xlink:href" is the one attribute name with a colon in it
+      var colonIdx = /^\s*xlink:/i.test(entry) ? entry.indexOf(':', entry.indexOf(':') + 1) : entry.indexOf(':');
+      if (colonIdx === -1) return null;
+
+      var name = entry.slice(0, colonIdx).trim();
+      var src = entry.slice(colonIdx + 1).trim();
+      var unit = '';
+
+      if (!allowUnits && isForbiddenAttr(name)) {
+        console.warn('HTMX-R: data-bind-attr cannot bind "' + name + '"');
+        return null;
+      }
+
+      // "percent%" / "size px": peel a trailing unit off an otherwise invalid expression
+      var unitMatch = allowUnits && !canParse(src) && CSS_UNITS.exec(src);
+      if (unitMatch) {
+        unit = unitMatch[1];
+        src = src.slice(0, unitMatch.index);
+      }
+
+      var shorthand = /^([A-Za-z_$][\w$.-]*)\s*=\s*([^=].*)$/.exec(src);
+      var condition = shorthand ? matchCondition(shorthand[1], shorthand[2].trim()) : compileCondition(src);
+      return condition ? { name: name, condition: condition, unit: unit } : null;
+    }).filter(Boolean);
+
+    bindListCache.set(cacheKey, entries);
+    return entries;
+  }
+
+  function bindListDeps(entries) {
+    return entries.reduce(function(deps, entry) { return deps.concat(entry.condition.deps); }, []);
+  }
+
+  function applyBindAttr(el, lookup) {
+    parseBindList(el.getAttribute('data-bind-attr'), false).forEach(function(entry) {
+      var result = evalExpr(entry.condition.ast, lookup);
+      var name = entry.name;
+
+      if (BOOLEAN_ATTRS.indexOf(name) !== -1) {
+        el.toggleAttribute(name, isTruthy(result));
+        if (name in el && typeof el[name] === 'boolean') el[name] = isTruthy(result);
+      } else if (name === 'value' && 'value' in el) {
+        el.value = exprToString(result);
+      } else if (name.indexOf('aria-') === 0 && typeof result === 'boolean') {
+        el.setAttribute(name, String(result));
+      } else if (result === null || result === undefined || exprToString(result) === '') {
+        el.removeAttribute(name);
+      } else if (hasUnsafeURL(el, name, exprToString(result))) {
+        console.warn('HTMX-R: Refused unsafe URL for ' + name + ': "' + exprToString(result) + '"');
+        el.removeAttribute(name);
+      } else {
+        el.setAttribute(name, exprToString(result));
+      }
+    });
+  }
+
+  function applyBindStyle(el, lookup) {
+    parseBindList(el.getAttribute('data-bind-style'), true).forEach(function(entry) {
+      var value = exprToString(evalExpr(entry.condition.ast, lookup));
+      if (value === '') {
+        el.style.removeProperty(entry.name);
+      } else {
+        el.style.setProperty(entry.name, value + entry.unit);
+      }
+    });
+  }
+
+  // ── ANCHORED POSITIONING (v1.3) ─────────────────────────────────────
+
+  /**
+   * data-popover-placement="{side}[-{align}]"  —  anchor floating content
+   *
+   * Positions a floating element (popover panel, tooltip) next to its
+   * anchor whenever it is shown: side is top | bottom | left | right, align
+   * is start | end (default centered). Near the edges of the viewport or of
+   * the anchor's scroll containers the panel flips to the opposite side,
+   * shifts along the edge and gets a max-height / max-width for the space
+   * left (add overflow: auto to scroll long content).
+   *
+   *   data-popover-offset="{px}"      Gap between anchor and panel (default 0)
+   *   data-popover-anchor="{selector}" Anchor element; defaults to the popover
+   *                                    trigger (aria-controls), the enclosing
+   *                                    hx-state-on-hover element, or the parent
+   *   [data-popover-arrow]            Child element placed to point at the anchor
+   *
+   * The placement in use is reflected as data-popover-current="{side}[-{align}]"
+   * for styling. Browsers with CSS anchor positioning lay the panel out
+   * natively; otherwise (or when an arrow is present) it is measured in JS
+   * and re-positioned on scroll and resize while shown.
+   *
+   * Placement is applied when the element's own bindings show it, when an
+   * hx-state-popover trigger opens it as its panel, and when a native
+   * [popover] element is toggled open.
+   *
+   * Usage:
+   *   <button hx-state-popover="menu">Options</button>
+   *   <ul data-when="menu:open" data-popover-placement="bottom-start" data-popover-offset="4">...</ul>
+   */
+  var OPPOSITE_SIDE = { top: 'bottom', bottom: 'top', left: 'right', right: 'left' };
+  var POSITION_AREAS = {
+    'top': 'top center', 'top-start': 'top span-right', 'top-end': 'top span-left',
+    'bottom': 'bottom center', 'bottom-start': 'bottom span-right', 'bottom-end': 'bottom span-left',
+    'left': 'left center', 'left-start': 'left span-bottom', 'left-end': 'left span-top',
+    'right': 'right center', 'right-start': 'right span-bottom', 'right-end': 'right span-top'
+  };
+  var ANCHOR_PADDING = 8;   // keep this far from the clipping edges
+
+  var anchoredFloats = new Map();   // floating element → anchor (JS engine only)
+  var anchorNames = 0;
+  var anchorFrame = null;
+
+  var supportsAnchorPositioning = !!(window.CSS && CSS.supports &&
+    CSS.supports('anchor-name: --htmxr') && CSS.supports('position-area: bottom'));
+
+  function anchorFor(floating) {
+    var selector = floating.getAttribute('data-popover-anchor');
+    if (selector) return document.querySelector(selector);
+
+    var controller = floating.id && Array.from(document.querySelectorAll('[aria-controls]')).find(function(el) {
+      return el.getAttribute('aria-controls') === floating.id;
+    });
+    if (controller) return controller;
+
+    var parent = floating.parentElement;
+    return parent && (parent.closest('[hx-state-on-hover]') || parent);
+  }
+
+  function isShown(el) {
+    return el.isConnected && el.style.display !== 'none' && !el.hasAttribute('data-htmx-r-hidden');
+  }
+
+  function parsePlacement(floating) {
+    var placement = (floating.getAttribute('data-popover-placement') || 'bottom').trim();
+    var parts = placement.split('-');
+    var side = OPPOSITE_SIDE[parts[0]] ? parts[0] : 'bottom';
+    var align = parts[1] === 'start' || parts[1] === 'end' ? parts[1] : null;
+    return { side: side, align: align, offset: parseFloat(floating.getAttribute('data-popover-offset')) || 0 };
+  }
+
+  // Visible area around the anchor: the viewport cut down by every
+  // scrolling/clipping ancestor
+  function clippingRect(anchor) {
+    var rect = { top: 0, left: 0, right: window.innerWidth, bottom: window.innerHeight };
+    for (var node = anchor.parentElement; node && node !== document.body; node = node.parentElement) {
+      var style = getComputedStyle(node);
+      if (!/auto|scroll|hidden|clip/.test(style.overflow + style.overflowX + style.overflowY)) continue;
+      var box = node.getBoundingClientRect();
+      rect = {
+        top: Math.max(rect.top, box.top), left: Math.max(rect.left, box.left),
+        right: Math.min(rect.right, box.right), bottom: Math.min(rect.bottom, box.bottom)
+      };
+    }
+    return rect;
+  }
+
+  function clamp(value, min, max) {
+    return Math.max(min, Math.min(value, max));
+  }
+
+  // JS engine: flip, shift and size against the clipping rect
+  function placeFloating(floating, anchor) {
+    var placement = parsePlacement(floating);
+    var offset = placement.offset;
+    var bounds = clippingRect(anchor);
+    var a = anchor.getBoundingClientRect();
+
+    floating.style.position = 'fixed';
+    floating.style.maxHeight = '';
+    floating.style.maxWidth = '';
+    var f = floating.getBoundingClientRect();
+
+    var space = {
+      top: a.top - bounds.top - offset - ANCHOR_PADDING,
+      bottom: bounds.bottom - a.bottom - offset - ANCHOR_PADDING,
+      left: a.left - bounds.left - offset - ANCHOR_PADDING,
+      right: bounds.right - a.right - offset - ANCHOR_PADDING
+    };
+
+    var side = placement.side;
+    var vertical = side === 'top' || side === 'bottom';
+    var needed = vertical ? f.height : f.width;
+    if (space[side] < needed && space[OPPOSITE_SIDE[side]] > space[side]) side = OPPOSITE_SIDE[side];
+
+    // Size along the main axis, then place on it
+    var available = Math.max(0, space[side]);
+    var width = vertical ? f.width : Math.min(f.width, available);
+    var height = vertical ? Math.min(f.height, available) : f.height;
+    var x, y;
+
+    if (side === 'bottom') y = a.bottom + offset;
+    if (side === 'top') y = a.top - offset - height;
+    if (side === 'right') x = a.right + offset;
+    if (side === 'left') x = a.left - offset - width;
+
+    // Align, then shift along the cross axis to stay inside the bounds
+    if (vertical) {
+      x = placement.align === 'start' ? a.left : placement.align === 'end' ? a.right - width : a.left + (a.width - width) / 2;
+      x = clamp(x, bounds.left + ANCHOR_PADDING, Math.max(bounds.left + ANCHOR_PADDING, bounds.right - ANCHOR_PADDING - width));
+    } else {
+      y = placement.align === 'start' ? a.top : placement.align === 'end' ? a.bottom - height : a.top + (a.height - height) / 2;
+      y = clamp(y, bounds.top + ANCHOR_PADDING, Math.max(bounds.top + ANCHOR_PADDING, bounds.bottom - ANCHOR_PADDING - height));
+    }
+
+    floating.style.left = x + 'px';
+    floating.style.top = y + 'px';
+    floating.style[vertical ? 'maxHeight' : 'maxWidth'] = available + 'px';
+    floating.setAttribute('data-popover-current', side + (placement.align ? '-' + placement.align : ''));
+
+    var arrow = floating.querySelector('[data-popover-arrow]');
+    if (!arrow) return;
+
+    arrow.style.position = 'absolute';
+    arrow.style.top = arrow.style.bottom = arrow.style.left = arrow.style.right = '';
+    if (vertical) {
+      arrow.style.left = clamp(a.left + a.width / 2 - x - arrow.offsetWidth / 2, 0, width - arrow.offsetWidth) + 'px';
+    } else {
+      arrow.style.top = clamp(a.top + a.height / 2 - y - arrow.offsetHeight / 2, 0, height - arrow.offsetHeight) + 'px';
+    }
+    // Sit on the edge facing the anchor
+    arrow.style[OPPOSITE_SIDE[side]] = -(vertical ? arrow.offsetHeight : arrow.offsetWidth) / 2 + 'px';
+  }
+
+  // Native engine: the browser keeps it anchored, flipped and in view
+  function anchorNatively(floating, anchor) {
+    var placement = parsePlacement(floating);
+    var key = placement.side + (placement.align ? '-' + placement.align : '');
+    var name = anchor.style.getPropertyValue('anchor-name') || '--htmxr-anchor-' + (++anchorNames);
+
+    anchor.style.setProperty('anchor-name', name);
+    floating.style.position = 'fixed';
+    floating.style.setProperty('position-anchor', name);
+    floating.style.setProperty('position-area', POSITION_AREAS[key]);
+    floating.style.setProperty('position-try-fallbacks',
+      placement.side === 'top' || placement.side === 'bottom' ? 'flip-block, flip-inline' : 'flip-inline, flip-block');
+    floating.style.setProperty('margin-' + OPPOSITE_SIDE[placement.side], placement.offset + 'px');
+    floating.style.maxHeight = '100%';
+    floating.style.maxWidth = '100%';
+    floating.setAttribute('data-popover-current', key);
+  }
+
+  // Called when a panel opens (hx-state-popover, native popover toggle) and
+  // from applyBindings for bound elements with data-popover-placement
+  function applyPlacement(floating) {
+    if (!isShown(floating)) {
+      anchoredFloats.delete(floating);
+      return;
+    }
+    var anchor = anchorFor(floating);
+    if (!anchor) return;
+
+    if (supportsAnchorPositioning && !floating.querySelector('[data-popover-arrow]')) {
+      anchorNatively(floating, anchor);
+      return;
+    }
+    anchoredFloats.set(floating, anchor);
+    placeFloating(floating, anchor);
+    scheduleAnchorUpdate();   // again once enter transitions have applied
+  }
+
+  function scheduleAnchorUpdate() {
+    if (anchorFrame || !anchoredFloats.size) return;
+    anchorFrame = requestAnimationFrame(function() {
+      anchorFrame = null;
+      anchoredFloats.forEach(function(anchor, floating) {
+        if (isShown(floating) && anchor.isConnected) placeFloating(floating, anchor);
+        else anchoredFloats.delete(floating);
+      });
+    });
+  }
+
+  // Native [popover] panels: toggle doesn't bubble, so listen in capture
+  document.addEventListener('toggle', function(e) {
+    var floating = e.target;
+    if (e.newState !== 'open' || !floating.hasAttribute || !floating.hasAttribute('data-popover-placement')) return;
+    applyPlacement(floating);
+  }, true);
+
+  // Capture catches scrolling in any scroll container, not just the page
+  window.addEventListener('scroll', scheduleAnchorUpdate, { capture: true, passive: true });
+  window.addEventListener('resize', scheduleAnchorUpdate);
+
+  // ── FORM BINDING (v1.3) ─────────────────────────────────────────────
+
+  /**
+   * hx-state-form="{key}"  —  two-way binding between a whole form and a JSON key
+   *
+   * On every input/change (and after reset) the form's named fields are
+   * serialized into an object stored in {key}. Whenever {key} changes from
+   * anywhere else — persistence, URL sync, the server, htmxR.setState — the
+   * fields are rehydrated from it. Fields missing from the object are left alone.
+   *
+   * Serialization:
+   *   text, textarea, select        "value"
+   *   single checkbox               true / false
+   *   checkbox group (same name)    ["checked", "values"]
+   *   radio group                   value of the checked radio, or null
+   *   select[multiple]              ["selected", "values"]
+   *
+   * Example — draft autosave:
+   *   <div data-state-draft="{}" hx-state-persist="true" hx-ext="reactive">
+   *     <form hx-state-form="draft" hx-post="/posts">
+   *       <input name="title"> <textarea name="body"></textarea>
+   *     </form>
+   *   </div>
+   */
+  var SKIPPED_FIELD_TYPES = ['submit', 'button', 'reset', 'file', 'image'];
+
+  function formFields(form) {
+    return Array.from(form.elements).filter(function(field) {
+      return field.name && SKIPPED_FIELD_TYPES.indexOf(field.type) === -1;
+    });
+  }
+
+  function serializeForm(form) {
+    var fields = formFields(form).filter(function(field) { return !field.disabled; });
+    var counts = {};
+    fields.forEach(function(field) { counts[field.name] = (counts[field.name] || 0) + 1; });
+
+    var data = {};
+    fields.forEach(function(field) {
+      var name = field.name;
+
+      if (field.type === 'checkbox') {
+        if (counts[name] > 1) {
+          data[name] = data[name] || [];
+          if (field.checked) data[name].push(field.value);
+        } else {
+          data[name] = field.checked;
+        }
+      } else if (field.type === 'radio') {
+        if (!(name in data)) data[name] = null;
+        if (field.checked) data[name] = field.value;
+      } else if (field.tagName === 'SELECT' && field.multiple) {
+        data[name] = Array.from(field.selectedOptions).map(function(option) { return option.value; });
+      } else {
+        data[name] = field.value;
+      }
+    });
+    return data;
+  }
+
+  function hydrateForm(form, data) {
+    formFields(form).forEach(function(field) {
+      if (!(field.name in data)) return;
+      var value = data[field.name];
+
+      if (field.type === 'checkbox') {
+        field.checked = Array.isArray(value) ? value.indexOf(field.value) !== -1 : isTruthy(value);
+      } else if (field.type === 'radio') {
+        field.checked = value !== null && field.value === String(value);
+      } else if (field.tagName === 'SELECT' && field.multiple) {
+        var selected = Array.isArray(value) ? value.map(String) : [];
+        Array.from(field.options).forEach(function(option) {
+          option.selected = selected.indexOf(option.value) !== -1;
+        });
+      } else {
+        // Only assign when different so the caret does not jump while typing
+        var text = exprToString(value);
+        if (field.value !== text) field.value = text;
+      }
+    });
+  }
+
+  function applyForm(form, lookup) {
+    var data = parseStructured(lookup(form.getAttribute('hx-state-form').trim()));
+    if (data && typeof data === 'object' && !Array.isArray(data)) hydrateForm(form, data);
+  }
+
+  function commitForm(form, source) {
+    var key = form.getAttribute('hx-state-form').trim();
+    var container = findStateContainer(form, key);
+    if (!container) return;
+
+    var data = serializeForm(form);
+    if (JSON.stringify(data) === JSON.stringify(parseStructured(readState(container, key)))) return;
+    commitState(container, key, data, form, 'local', source);
+  }
+
+  function handleFormEdit(e) {
+    var form = e.target.form || (e.target.closest && e.target.closest('form'));
+    if (form && form.hasAttribute('hx-state-form')) commitForm(form, e.type);
+  }
+
+  document.addEventListener('input', handleFormEdit);
+  document.addEventListener('change', handleFormEdit);
+
+  // Fields only take their reset values after the reset event
+  document.addEventListener('reset', function(e) {
+    var form = e.target;
+    if (!form.hasAttribute || !form.hasAttribute('hx-state-form')) return;
+    setTimeout(function() { commitForm(form, e.type); }, 0);
+  });
+
+  // ── FORM VALIDITY (v1.3) ────────────────────────────────────────────
+
+  /**
+   * hx-state-validity="{key}"  —  Constraint Validation results as state
+   *
+   * On a form, {key} holds "true" / "false" for whether every field is valid.
+   * On a field, {key} holds a JSON object kept up to date on input, change
+   * and blur:
+   *   { valid, valueMissing, typeMismatch, patternMismatch, tooLong, tooShort,
+   *     rangeUnderflow, rangeOverflow, stepMismatch, badInput, customError,
+   *     message, touched, dirty }
+   * touched turns true once the field loses focus (or a submit finds it
+   * invalid); dirty while its value differs from the initial one.
+   *
+   *   hx-state-validate="{name}, ..."  Run validators registered with
+   *                                     htmxR.registerValidator(name, fn)
+   *
+   * A validator receives (value, field) and returns a message (invalid) or
+   * ""/true/undefined (valid); false means invalid with a generic message.
+   *
+   * Server errors: an htmx:responseError whose body is JSON like
+   * {"errors": {"email": "Already taken"}} (or the same map without "errors";
+   * arrays of messages are joined) marks those fields invalid with that
+   * message until they are edited.
+   *
+   * Like computed keys, validity keys are derived: they are not recorded in
+   * undo history, persisted, synced to the URL or shared with other tabs.
+   *
+   * Usage:
+   *   <div data-state-form-ok="false" data-state-email="{}" hx-ext="reactive">
+   *     <form hx-post="/signup" hx-state-validity="form-ok">
+   *       <input name="email" type="email" required hx-state-validity="email">
+   *       <p data-when="email.touched && !email.valid" data-state-text="email.message"></p>
+   *       <button data-bind-attr="disabled:!form-ok">Sign up</button>
+   *     </form>
+   *   </div>
+   */
+  var VALIDITY_FLAGS = ['valueMissing', 'typeMismatch', 'patternMismatch', 'tooLong', 'tooShort',
+                        'rangeUnderflow', 'rangeOverflow', 'stepMismatch', 'badInput', 'customError'];
+
+  var validators = {};
+  var touchedFields = new WeakSet();
+  var initialFieldValues = new WeakMap();
+  var serverErrors = new WeakMap();     // field → message from the last error response
+  var customValidity = new WeakSet();   // fields whose custom validity we set
+
+  function fieldValue(field) {
+    if (field.type === 'checkbox' || field.type === 'radio') return String(field.checked);
+    if (field.tagName === 'SELECT' && field.multiple) {
+      return Array.from(field.selectedOptions).map(function(option) { return option.value; }).join('\n');
+    }
+    return field.value;
+  }
+
+  function isValidatable(field) {
+    return !!field.validity && /^(INPUT|SELECT|TEXTAREA)$/.test(field.tagName);
+  }
+
+  function validityForm(field) {
+    var form = field.form;
+    return form && form.hasAttribute('hx-state-validity') ? form : null;
+  }
+
+  // Server errors first, then registered validators
+  function applyCustomValidity(field) {
+    var message = serverErrors.get(field) || '';
+
+    if (!message && field.hasAttribute('hx-state-validate')) {
+      field.getAttribute('hx-state-validate').split(',').some(function(name) {
+        var validator = validators[name.trim()];
+        if (!validator) return false;
+        var result = validator(field.value, field);
+        message = result === false ? 'Invalid value' : (typeof result === 'string' ? result : '');
+        return !!message;
+      });
+    }
+
+    // Leave custom validity set by other code alone
+    if (message || customValidity.has(field)) {
+      field.setCustomValidity(message);
+      if (message) customValidity.add(field);
+      else customValidity.delete(field);
+    }
+  }
+
+  function writeValidity(el, key, value) {
+    var container = findStateContainer(el, key);
+    if (!container) return;
+    var serialized = typeof value === 'string' ? value : JSON.stringify(value);
+    if (container.getAttribute('data-state-' + key) === serialized) return;
+    container.setAttribute('data-state-' + key, serialized);
+    dispatchStateChange(container, key, serialized, el, 'local', key, 'validity');
+  }
+
+  function syncField(field) {
+    applyCustomValidity(field);
+    var key = field.getAttribute('hx-state-validity');
+    if (!key) return;
+
+    var state = { valid: field.validity.valid };
+    VALIDITY_FLAGS.forEach(function(flag) { state[flag] = field.validity[flag]; });
+    state.message = field.validationMessage;
+    state.touched = touchedFields.has(field);
+    state.dirty = initialFieldValues.has(field) && fieldValue(field) !== initialFieldValues.get(field);
+    writeValidity(field, key.trim(), state);
+  }
+
+  // Computed without checkValidity(), which would fire invalid events
+  function syncValidityForm(form) {
+    var valid = Array.from(form.elements).every(function(field) {
+      if (!isValidatable(field)) return true;
+      applyCustomValidity(field);
+      return !field.willValidate || field.validity.valid;
+    });
+    writeValidity(form, form.getAttribute('hx-state-validity').trim(), String(valid));
+  }
+
+  function syncValidity(field) {
+    if (!isValidatable(field)) return;
+    var form = validityForm(field);
+    if (!form && !field.hasAttribute('hx-state-validity') && !field.hasAttribute('hx-state-validate')) return;
+    syncField(field);
+    if (form) syncValidityForm(form);
+  }
+
+  function initValidity(root) {
+    if (!root.querySelectorAll) return;
+    var hosts = Array.from(root.querySelectorAll('[hx-state-validity]'));
+    if (root.hasAttribute && root.hasAttribute('hx-state-validity')) hosts.unshift(root);
+
+    hosts.forEach(function(host) {
+      var fields = host.tagName === 'FORM' ? Array.from(host.elements).filter(isValidatable) : [host];
+      fields.forEach(function(field) {
+        initialFieldValues.set(field, fieldValue(field));
+        touchedFields.delete(field);
+        serverErrors.delete(field);
+        syncField(field);
+      });
+      if (host.tagName === 'FORM') syncValidityForm(host);
+    });
+  }
+
+  function editField(e) {
+    serverErrors.delete(e.target);
+    syncValidity(e.target);
+  }
+
+  function touchField(e) {
+    if (!isValidatable(e.target)) return;
+    touchedFields.add(e.target);
+    syncValidity(e.target);
+  }
+
+  document.addEventListener('input', editField);
+  document.addEventListener('change', editField);
+  document.addEventListener('focusout', touchField);
+  // invalid doesn't bubble; it fires for each bad field when a submit is checked
+  document.addEventListener('invalid', touchField, true);
+
+  document.addEventListener('reset', function(e) {
+    var form = e.target;
+    if (!form.hasAttribute || !form.hasAttribute('hx-state-validity')) return;
+    setTimeout(function() { initValidity(form); }, 0);
+  });
+
+  // Called by the extension on htmx:responseError
+  function applyServerErrors(element, xhr) {
+    var form = element && (element.tagName === 'FORM' ? element : element.form || element.closest('form'));
+    if (!form || !xhr) return;
+
+    var body;
+    try {
+      body = JSON.parse(xhr.responseText);
+    } catch (e) {
+      return;
+    }
+    var errors = body && typeof body.errors === 'object' ? body.errors : body;
+    if (!errors || typeof errors !== 'object') return;
+
+    Object.keys(errors).forEach(function(name) {
+      var message = Array.isArray(errors[name]) ? errors[name].join(' ') : String(errors[name]);
+      var named = form.elements.namedItem(name);
+      if (!named) return;
+      (named.tagName ? [named] : Array.from(named)).forEach(function(field) {
+        serverErrors.set(field, message);
+        touchedFields.add(field);
+        syncField(field);
+      });
+    });
+    if (form.hasAttribute('hx-state-validity')) syncValidityForm(form);
+  }
+
+  document.addEventListener('DOMContentLoaded', function() {
+    initValidity(document);
+  });
+
+  document.addEventListener('htmx:afterSettle', function(e) {
+    initValidity(e.detail.target || e.target);
+  });
+
+  // ── UNDO / REDO HISTORY (v1.3) ──────────────────────────────────────
+
+  /**
+   * hx-state-history="{limit}"  —  record state changes for undo/redo
+   *
+   * Every change committed to the container (setters, inputs, forms, lists,
+   * server state, htmxR.setState) is recorded, up to {limit} entries
+   * (default 100). Changes received from other tabs are not recorded.
+   *
+   *   hx-state-history-exclude="{k1},{k2}"  Keys never recorded (e.g. hover state)
+   *   hx-state-history-keys="false"         Disable Ctrl+Z / Ctrl+Shift+Z / Ctrl+Y
+   *   hx-state-undo / hx-state-redo         Click triggers; the value may be a
+   *                                         selector for a container elsewhere
+   *
+   * htmxR.transaction(fn) records every change made during fn as one entry.
+   * htmx-r:history-change fires on the container with { canUndo, canRedo }.
+   *
+   * Usage:
+   *   <div data-state-color="red" data-state-size="m" hx-state-history="50" hx-ext="reactive">
+   *     <button hx-state-set="color:blue">Blue</button>
+   *     <button hx-state-undo>Undo</button> <button hx-state-redo>Redo</button>
+   *   </div>
+   */
+  var histories = new WeakMap();
+  var historyReplaying = false;
+  var historyTransaction = null;   // Map container → changes while htmxR.transaction runs
+
+  function historyFor(container) {
+    var history = histories.get(container);
+    if (!history) {
+      history = { undo: [], redo: [] };
+      histories.set(container, history);
+    }
+    return history;
+  }
+
+  function historyExcludes(container, key) {
+    var exclude = container.getAttribute('hx-state-history-exclude');
+    return !!exclude && exclude.split(',').map(function(k) { return k.trim(); }).indexOf(key) !== -1;
+  }
+
+  // Called by commitState after a successful write
+  function recordHistory(container, key, before, after, origin) {
+    if (historyReplaying || origin === 'remote' || before === after) return;
+    if (!container.hasAttribute('hx-state-history') || historyExcludes(container, key)) return;
+
+    var change = { key: key, before: before, after: after };
+    if (historyTransaction) {
+      if (!historyTransaction.has(container)) historyTransaction.set(container, []);
+      historyTransaction.get(container).push(change);
+      return;
+    }
+    pushHistory(container, [change]);
+  }
+
+  function pushHistory(container, changes) {
+    var history = historyFor(container);
+    var limit = parseInt(container.getAttribute('hx-state-history'), 10) || 100;
+
+    history.undo.push(changes);
+    if (history.undo.length > limit) history.undo.splice(0, history.undo.length - limit);
+    history.redo = [];
+    notifyHistory(container);
+  }
+
+  function notifyHistory(container) {
+    var history = historyFor(container);
+    container.dispatchEvent(new CustomEvent('htmx-r:history-change', {
+      detail: { canUndo: history.undo.length > 0, canRedo: history.redo.length > 0 },
+      bubbles: true
+    }));
+  }
+
+  function runTransaction(fn) {
+    if (historyTransaction) return fn();   // nested: fold into the outer transaction
+
+    historyTransaction = new Map();
+    try {
+      return fn();
+    } finally {
+      var pending = historyTransaction;
+      historyTransaction = null;
+      pending.forEach(function(changes, container) { pushHistory(container, changes); });
+    }
+  }
+
+  // Move one entry from one stack to the other, writing its before/after values
+  function stepHistory(container, direction) {
+    if (!container) return false;
+    var history = historyFor(container);
+    var from = direction === 'undo' ? history.undo : history.redo;
+    var to = direction === 'undo' ? history.redo : history.undo;
+    var changes = from.pop();
+    if (!changes) return false;
+
+    var ordered = direction === 'undo' ? changes.slice().reverse() : changes;
+    historyReplaying = true;
+    try {
+      ordered.forEach(function(change) {
+        var value = direction === 'undo' ? change.before : change.after;
+        commitState(container, change.key, value === null ? '' : value, container, 'local', 'history');
+      });
+    } finally {
+      historyReplaying = false;
+    }
+
+    to.push(changes);
+    notifyHistory(container);
+    return true;
+  }
+
+  function historyContainerFor(el, selector) {
+    if (selector) return document.querySelector(selector);
+    el = resolveElement(el);
+    return el ? el.closest('[hx-state-history]') : null;
+  }
+
+  document.addEventListener('click', function(e) {
+    var trigger = e.target.closest('[hx-state-undo], [hx-state-redo]');
+    if (!trigger) return;
+
+    var direction = trigger.hasAttribute('hx-state-undo') ? 'undo' : 'redo';
+    stepHistory(historyContainerFor(trigger, trigger.getAttribute('hx-state-' + direction)), direction);
+  });
+
+  // Text fields keep their native undo unless they are bound to state
+  function hasNativeUndo(el) {
+    if (el.isContentEditable) return true;
+    if (!/^(INPUT|TEXTAREA)$/.test(el.tagName)) return false;
+    return !(el.hasAttribute('data-state-value') || el.hasAttribute('hx-state-on-input') ||
+             (el.form && el.form.hasAttribute('hx-state-form')));
+  }
+
+  document.addEventListener('keydown', function(e) {
+    if (!(e.ctrlKey || e.metaKey) || e.altKey) return;
+    var key = e.key.toLowerCase();
+    if (key !== 'z' && key !== 'y') return;
+
+    var container = e.target.closest && e.target.closest('[hx-state-history]');
+    if (!container || container.getAttribute('hx-state-history-keys') === 'false') return;
+    if (hasNativeUndo(e.target)) return;
+
+    var direction = key === 'y' || e.shiftKey ? 'redo' : 'undo';
+    if (stepHistory(container, direction)) e.preventDefault();
+  });
+
+  // ── EVENT TRIGGERS (v1.3) ───────────────────────────────────────────
+
+  /**
+   * hx-state-on="{event}[{filter}] {modifiers} -> {key}:{value}, ..."  —  any event sets state
+   *
+   * Listens for any DOM or custom event — including HX-Trigger events,
+   * htmx:* and htmx-r:* — and sets {key} to {value} when it fires. Several
+   * mappings are separated by commas.
+   *
+   * The optional [filter] is an expression; identifiers resolve against the
+   * event first (key, code, ctrlKey, detail.x, ...) and then against state.
+   *
+   * Modifiers (htmx-style, space separated):
+   *   once                Fire at most once
+   *   debounce:{time}     Wait until events stop for {time}
+   *   throttle[:{time}]   At most once per {time} (default 100ms)
+   *   from:{selector}     Listen on another element (or document / window)
+   *   outside             Only for events whose target is outside this element
+   *
+   * Usage:
+   *   <div data-state-menu="closed" hx-ext="reactive"
+   *        hx-state-on="keydown[key=='Escape'] from:document -> menu:closed,
+   *                     click outside -> menu:closed,
+   *                     itemSaved from:body -> menu:closed">
+   *   <input hx-state-on="input debounce:300ms -> typing:false, focus once -> touched:true">
+   */
+  var stateOnBound = new WeakSet();
+
+  // Split "event[filter] modifiers" into its parts (filters may nest brackets)
+  function parseStateOnSpec(spec) {
+    var nameEnd = spec.search(/[\s\[]/);
+    var name = nameEnd === -1 ? spec : spec.slice(0, nameEnd);
+    var rest = nameEnd === -1 ? '' : spec.slice(nameEnd);
+    var filter = null;
+
+    if (rest[0] === '[') {
+      for (var i = 0, depth = 0; i < rest.length; i++) {
+        if (rest[i] === '[') depth++;
+        if (rest[i] === ']' && --depth === 0) break;
+      }
+      filter = compileExpr(rest.slice(1, i));
+      // A filter that doesn't compile must not turn into "always fire"
+      if (!filter) {
+        console.warn('HTMX-R: hx-state-on filter "' + rest.slice(1, i) + '" is invalid; mapping ignored');
+        return null;
+      }
+      rest = rest.slice(i + 1);
+    }
+
+    var mapping = { event: name, filter: filter, once: false, outside: false, debounce: 0, throttle: 0, from: null };
+    rest.trim().split(/\s+/).filter(Boolean).forEach(function(token) {
+      var colon = token.indexOf(':');
+      var modifier = colon === -1 ? token : token.slice(0, colon);
+      var arg = colon === -1 ? '' : token.slice(colon + 1);
+
+      if (modifier === 'once' || modifier === 'outside') mapping[modifier] = true;
+      else if (modifier === 'debounce') mapping.debounce = parseDuration(arg);
+      else if (modifier === 'throttle') mapping.throttle = parseDuration(arg) || 100;
+      else if (modifier === 'from') mapping.from = arg;
+      else console.warn('HTMX-R: Unknown hx-state-on modifier "' + token + '"');
+    });
+    return mapping;
+  }
+
+  function parseStateOn(attr) {
+    return splitTopLevel(attr).map(function(part) {
+      var arrow = part.indexOf('->');
+      var target = arrow === -1 ? '' : part.slice(arrow + 2).trim();
+      var colon = target.indexOf(':');
+      if (arrow === -1 || colon === -1) {
+        console.warn('HTMX-R: hx-state-on expects "event -> key:value", got "' + part + '"');
+        return null;
+      }
+
+      var mapping = parseStateOnSpec(part.slice(0, arrow).trim());
+      if (!mapping) return null;
+      mapping.key = target.slice(0, colon).trim();
+      mapping.value = target.slice(colon + 1).trim();
+      return mapping;
+    }).filter(Boolean);
+  }
+
+  // Event properties shadow state keys of the same name
+  function eventLookup(e, el) {
+    var state = stateLookupFrom(el);
+    return function(name) {
+      var root = name.split('.')[0];
+      return root in e ? getPath(e, name.split('.')) : state(name);
+    };
+  }
+
+  function bindStateOn(el, mapping) {
+    var source = mapping.outside ? document : el;
+    if (mapping.from === 'document') source = document;
+    else if (mapping.from === 'window') source = window;
+    else if (mapping.from) source = document.querySelector(mapping.from);
+    if (!source) return;
+
+    var timer = null;
+    var last = 0;
+
+    function fire() {
+      if (mapping.once) source.removeEventListener(mapping.event, handler);
+      var container = findStateContainer(el, mapping.key);
+      if (container) commitState(container, mapping.key, mapping.value, el, 'local', mapping.event);
+    }
+
+    function handler(e) {
+      // Listeners on other elements outlive a swapped-out element
+      if (!el.isConnected) {
+        source.removeEventListener(mapping.event, handler);
+        return;
+      }
+      if (mapping.outside && el.contains(e.target)) return;
+      if (mapping.filter && !isTruthy(evalExpr(mapping.filter.ast, eventLookup(e, el)))) return;
+
+      if (mapping.throttle) {
+        if (Date.now() - last < mapping.throttle) return;
+        last = Date.now();
+      }
+      if (mapping.debounce) {
+        clearTimeout(timer);
+        timer = setTimeout(fire, mapping.debounce);
+        return;
+      }
+      fire();
+    }
+
+    source.addEventListener(mapping.event, handler);
+  }
+
+  function initStateOn(root) {
+    if (!root.querySelectorAll) return;
+    var elements = Array.from(root.querySelectorAll('[hx-state-on]'));
+    if (root.hasAttribute && root.hasAttribute('hx-state-on')) elements.unshift(root);
+
+    elements.forEach(function(el) {
+      if (stateOnBound.has(el)) return;
+      stateOnBound.add(el);
+      parseStateOn(el.getAttribute('hx-state-on')).forEach(function(mapping) {
+        bindStateOn(el, mapping);
+      });
+    });
+  }
+
+  // ── TIMERS & HOTKEYS (v1.3) ─────────────────────────────────────────
+
+  /**
+   * hx-state-after="{time} {key}:{value}, ..."  —  revert state after a delay
+   *
+   * On a container (or an element inside it): whenever {key} changes to
+   * something other than {value}, set it to {value} after {time}. Another
+   * change to {key} before then cancels the timer (and restarts it unless the
+   * new value is already {value}).
+   *
+   *   <div data-state-copied="false" hx-state-after="2s copied:false" hx-ext="reactive">
+   *     <button hx-state-set="copied:true">Copy</button>
+   *     <span data-when="copied:true">Copied!</span>
+   *   </div>
+   *
+   * data-state-interval="{time} {key}:{expr}[ while {condition}], ..."  —  ticking state
+   *
+   * On a container: every {time}, evaluate {expr} and write it to {key}.
+   * Ticks where the while-condition is false are skipped.
+   *
+   *   <div data-state-remaining="10" data-state-interval="1s remaining:remaining - 1 while remaining > 0">
+   *   <div data-state-polls="0" data-state-interval="30s polls:polls + 1">
+   *
+   * hx-state-hotkey="{combo} -> {key}:{value}, ..."  —  global keyboard shortcuts
+   *
+   * Combos join modifiers and a key with "+": ctrl, alt (option), shift,
+   * meta (cmd), and mod — Cmd on Apple platforms, Ctrl elsewhere. Plain and
+   * shift-only hotkeys are ignored while typing in text fields; combos with
+   * ctrl/meta/mod still work there.
+   *
+   *   <body hx-state-hotkey="mod+k -> palette:open, ? -> help:open">
+   *
+   * Timers belong to their element and are cleared when htmx swaps it out.
+   * Specs are parsed once per element and again only when the attribute
+   * changes; hx-state-after hosts live in the binding index and hotkey hosts
+   * in a registry, so neither is looked up by scanning the document.
+   */
+  var elementTimers = new WeakMap();   // element → { intervals: [], after: Map(key → timeout) }
+  var parsedSpecs = new WeakMap();     // element → { attribute name → { src, value } }
+  var hotkeyHosts = new Set();
+
+  function timersFor(el) {
+    var timers = elementTimers.get(el);
+    if (!timers) {
+      timers = { intervals: [], after: new Map() };
+      elementTimers.set(el, timers);
+    }
+    return timers;
+  }
+
+  function clearTimers(el) {
+    var timers = elementTimers.get(el);
+    if (!timers) return;
+    timers.intervals.forEach(clearInterval);
+    timers.after.forEach(clearTimeout);
+    elementTimers.delete(el);
+  }
+
+  // "{time} {key}:{rest}" → { delay, key, rest }
+  function parseTimed(part) {
+    var match = /^(\S+)\s+([^:\s]+)\s*:\s*(.*)$/.exec(part);
+    if (!match) return null;
+    return { delay: parseDuration(match[1]), key: match[2], rest: match[3].trim() };
+  }
+
+  function parseTimedList(attr, name) {
+    return splitTopLevel(attr).map(function(part) {
+      var timed = parseTimed(part);
+      if (!timed || !timed.delay) console.warn('HTMX-R: ' + name + ' expects "{time} {key}:{value}", got "' + part + '"');
+      return timed && timed.delay ? timed : null;
+    }).filter(Boolean);
+  }
+
+  // Parse an attribute once per element; a changed value is parsed again
+  function cachedSpec(el, name, parse) {
+    var specs = parsedSpecs.get(el);
+    if (!specs) parsedSpecs.set(el, specs = {});
+    var src = el.getAttribute(name) || '';
+    if (!specs[name] || specs[name].src !== src) specs[name] = { src: src, value: parse(src) };
+    return specs[name].value;
+  }
+
+  function afterSpecs(el) {
+    return cachedSpec(el, 'hx-state-after', function(src) { return parseTimedList(src, 'hx-state-after'); });
+  }
+
+  document.addEventListener('htmx-r:state-change', function(e) {
+    var container = e.target;
+    var key = e.detail.key;
+    if (e.detail.origin === 'remote' || container.nodeType !== 1) return;
+
+    var paths = bindingIndex.get(key);
+    var hosts = paths && paths.get(key);
+    if (!hosts) return;
+
+    hosts.forEach(function(host) {
+      if (!host.isConnected || !host.hasAttribute('hx-state-after')) return;
+      afterSpecs(host).forEach(function(after) {
+        if (after.key !== key || findStateContainer(host, key) !== container) return;
+
+        var timers = timersFor(host);
+        clearTimeout(timers.after.get(key));
+        timers.after.delete(key);
+        if (readStateString(container, key) === after.rest) return;
+
+        timers.after.set(key, setTimeout(function() {
+          timers.after.delete(key);
+          if (host.isConnected) commitState(container, key, after.rest, host, 'local', 'timer');
+        }, after.delay));
+      });
+    });
+  });
+
+  // Called for each container by initStateContainers
+  function initIntervals(container) {
+    var attr = container.getAttribute('data-state-interval');
+    var timers = timersFor(container);
+    if (!attr || timers.started) return;
+    timers.started = true;
+
+    parseTimedList(attr, 'data-state-interval').forEach(function(interval) {
+      var parts = interval.rest.split(/\s+while\s+/);
+      var expr = compileExpr(parts[0]);
+      var condition = parts[1] ? compileExpr(parts[1]) : null;
+      if (!expr) return;
+
+      timers.intervals.push(setInterval(function() {
+        if (!container.isConnected) return clearTimers(container);
+
+        var lookup = stateLookupFrom(container);
+        if (condition && !isTruthy(evalExpr(condition.ast, lookup))) return;
+
+        // Unchanged values aren't written (no events, history or persistence)
+        var target = findStateContainer(container, interval.key);
+        var next = exprToString(evalExpr(expr.ast, lookup));
+        if (target && readStateString(target, interval.key) !== next) commitState(target, interval.key, next, container, 'local', 'interval');
+      }, interval.delay));
+    });
+  }
+
+  // htmx cleans up every element it swaps out
+  document.addEventListener('htmx:beforeCleanupElement', function(e) {
+    clearTimers(e.target);
+    hotkeyHosts.delete(e.target);
+  });
+
+  var IS_APPLE = /Mac|iPhone|iPad|iPod/.test(
+    (navigator.userAgentData && navigator.userAgentData.platform) || navigator.platform || '');
+  var KEY_ALIASES = { esc: 'escape', space: ' ', plus: '+', up: 'arrowup', down: 'arrowdown', left: 'arrowleft', right: 'arrowright' };
+
+  function parseHotkey(combo) {
+    var parts = combo.toLowerCase().split('+');
+    // "mod++" / "shift++" bind the plus key itself
+    if (parts[parts.length - 1] === '' && parts.length > 1) {
+      parts.splice(-2, 2, '+');
+    }
+    var hotkey = { key: null, ctrl: false, alt: false, shift: false, meta: false };
+    parts.forEach(function(part, i) {
+      part = part.trim();
+      if (i === parts.length - 1) hotkey.key = KEY_ALIASES[part] || part;
+      else if (part === 'mod') hotkey[IS_APPLE ? 'meta' : 'ctrl'] = true;
+      else if (part === 'cmd' || part === 'meta') hotkey.meta = true;
+      else if (part === 'option' || part === 'alt') hotkey.alt = true;
+      else if (part === 'ctrl' || part === 'shift') hotkey[part] = true;
+    });
+    return hotkey;
+  }
+
+  function matchesHotkey(hotkey, e) {
+    if (e.key.toLowerCase() !== hotkey.key) return false;
+    if (e.ctrlKey !== hotkey.ctrl || e.altKey !== hotkey.alt || e.metaKey !== hotkey.meta) return false;
+    // Symbols like "?" already include shift in e.key
+    var symbol = hotkey.key.length === 1 && !/[a-z0-9]/.test(hotkey.key);
+    return symbol ? !hotkey.shift || e.shiftKey : e.shiftKey === hotkey.shift;
+  }
+
+  function isTextField(el) {
+    if (el.isContentEditable || el.tagName === 'TEXTAREA' || el.tagName === 'SELECT') return true;
+    return el.tagName === 'INPUT' &&
+      ['checkbox', 'radio', 'button', 'submit', 'reset', 'range', 'color', 'file'].indexOf(el.type) === -1;
+  }
+
+  function hotkeySpecs(el) {
+    return cachedSpec(el, 'hx-state-hotkey', function(src) {
+      return splitTopLevel(src).map(function(part) {
+        var arrow = part.indexOf('->');
+        var target = arrow === -1 ? '' : part.slice(arrow + 2).trim();
+        var colon = target.indexOf(':');
+        if (arrow === -1 || colon === -1) {
+          console.warn('HTMX-R: hx-state-hotkey expects "{combo} -> {key}:{value}", got "' + part + '"');
+          return null;
+        }
+        return {
+          hotkey: parseHotkey(part.slice(0, arrow).trim()),
+          key: target.slice(0, colon).trim(),
+          value: target.slice(colon + 1).trim()
+        };
+      }).filter(Boolean);
+    });
+  }
+
+  // Register hotkey elements in a subtree (load, settle and DOM mutations)
+  function initHotkeys(root) {
+    if (!root.querySelectorAll) return;
+    var elements = Array.from(root.querySelectorAll('[hx-state-hotkey]'));
+    if (root.hasAttribute && root.hasAttribute('hx-state-hotkey')) elements.unshift(root);
+
+    elements.forEach(function(el) {
+      hotkeyHosts.add(el);
+      hotkeySpecs(el);
+    });
+  }
+
+  document.addEventListener('keydown', function(e) {
+    if (e.repeat || e.defaultPrevented || !e.key) return;
+    var typing = e.target.nodeType === 1 && isTextField(e.target);
+
+    hotkeyHosts.forEach(function(el) {
+      if (!el.isConnected || !el.hasAttribute('hx-state-hotkey')) {
+        hotkeyHosts.delete(el);
+        return;
+      }
+      hotkeySpecs(el).forEach(function(spec) {
+        if (!matchesHotkey(spec.hotkey, e) || (typing && !spec.hotkey.ctrl && !spec.hotkey.meta)) return;
+
+        var container = findStateContainer(el, spec.key);
+        if (!container) return;
+        e.preventDefault();
+        commitState(container, spec.key, spec.value, el, 'local', e.type);
+      });
+    });
+  });
+
+  // ── STATE MACHINES (v1.3) ───────────────────────────────────────────
+
+  /**
+   * data-state-machine-{key}="{definition}"  —  guard a key with a finite state machine
+   *
+   * Declares which values {key} may move between and the named events that
+   * move it. Elements send events with hx-state-send="{key}:{EVENT}" (or
+   * htmxR.send(el, key, event)). Any other write to {key} — hx-state-set,
+   * setters, htmxR.setState — is only accepted if some event allowed from the
+   * current value leads to it. Rejected changes fire htmx-r:transition-denied
+   * on the container with { key, from, to, event, element }. Undo/redo,
+   * htmxR.reset/restore and changes from other tabs are not guarded, and
+   * undo/redo doesn't run entry/exit actions. Values restored from the URL
+   * or storage must be one of the machine's states; anything else falls
+   * back to the server-rendered value.
+   *
+   * Compact DSL — "{state}: {EVENT} [{guard}] -> {target}, ...; ..."
+   * ("*" matches any state, the guard is an optional expression):
+   *   data-state-machine-checkout="cart: NEXT -> shipping;
+   *                                shipping: NEXT [address-ok] -> payment, BACK -> cart;
+   *                                payment: BACK -> shipping, PAY -> done;
+   *                                *: RESET -> cart"
+   *
+   * JSON — adds entry/exit actions, run after the value changes:
+   *   data-state-machine-checkout='{
+   *     "cart":     { "on": { "NEXT": "shipping" } },
+   *     "shipping": { "on": { "NEXT": { "target": "payment", "guard": "address-ok" }, "BACK": "cart" },
+   *                   "entry": { "set": { "step-title": "Shipping" }, "request": "GET /checkout/rates #rates" } },
+   *     "payment":  { "on": { "PAY": "done" }, "exit": { "trigger": "payment-left" } }
+   *   }'
+   *
+   * Actions (an object or an array of them):
+   *   "set": { "{key}": "{value}" }        Set other keys
+   *   "request": "{METHOD} {url} [{target}]"  Issue an htmx request (swap: none
+   *                                        without a target); or an object
+   *                                        { method, url, target, swap }
+   *   "trigger": "{event}"                 Trigger an event on the container
+   *                                        (for hx-trigger="{event} from:closest ...")
+   */
+  var machineCache = new Map();   // definition source → parsed machine
+  var machineGuardsOff = 0;       // > 0 while writes bypass machine guards
+
+  function parseMachineDSL(src) {
+    var states = {};
+    src.split(';').forEach(function(clause) {
+      var colon = clause.indexOf(':');
+      if (colon === -1) return;
+      var from = clause.slice(0, colon).trim();
+      states[from] = states[from] || { on: {} };
+
+      splitTopLevel(clause.slice(colon + 1)).forEach(function(rule) {
+        var match = /^(\S+?)\s*(?:\[(.*)\])?\s*->\s*(\S+)$/.exec(rule);
+        if (!match) throw new Error('cannot parse "' + rule + '"');
+        (states[from].on[match[1]] = states[from].on[match[1]] || []).push({ target: match[3], guard: match[2] || null });
+      });
+    });
+    return states;
+  }
+
+  // Normalize JSON "on" entries to arrays of { target, guard }
+  function parseMachineJSON(src) {
+    var definition = JSON.parse(src);
+    var states = {};
+    Object.keys(definition).forEach(function(name) {
+      var state = definition[name] || {};
+      var on = {};
+      Object.keys(state.on || {}).forEach(function(event) {
+        on[event] = [].concat(state.on[event]).map(function(t) {
+          return typeof t === 'string' ? { target: t, guard: null } : { target: t.target, guard: t.guard || null };
+        });
+      });
+      states[name] = { on: on, entry: state.entry, exit: state.exit };
+    });
+    return states;
+  }
+
+  function machineFor(container, key) {
+    var src = container.getAttribute('data-state-machine-' + key);
+    if (!src) return null;
+    if (machineCache.has(src)) return machineCache.get(src);
+
+    var machine = null;
+    try {
+      machine = src.trim()[0] === '{' ? parseMachineJSON(src) : parseMachineDSL(src);
+      Object.keys(machine).forEach(function(name) {
+        Object.keys(machine[name].on).forEach(function(event) {
+          machine[name].on[event].forEach(function(t) { t.guard = t.guard && compileExpr(t.guard); });
+        });
+      });
+    } catch (e) {
+      console.warn('HTMX-R: Invalid state machine for "' + key + '": ' + e.message);
+    }
+    machineCache.set(src, machine);
+    return machine;
+  }
+
+  // Transitions out of a state: its own, then the "*" wildcard's
+  function machineTransitions(machine, from, event) {
+    var own = machine[from] && machine[from].on[event] || [];
+    var any = machine['*'] && machine['*'].on[event] || [];
+    return own.concat(any);
+  }
+
+  function machineEvents(machine, from) {
+    return Object.keys((machine[from] || { on: {} }).on).concat(Object.keys((machine['*'] || { on: {} }).on));
+  }
+
+  // First transition for event (any event if null) whose guard passes,
+  // optionally restricted to one target
+  function findTransition(container, machine, from, event, target) {
+    var lookup = stateLookupFrom(container);
+    var events = event ? [event] : machineEvents(machine, from);
+    for (var i = 0; i < events.length; i++) {
+      var found = machineTransitions(machine, from, events[i]).find(function(t) {
+        return (target === undefined || t.target === target) && (!t.guard || isTruthy(evalExpr(t.guard.ast, lookup)));
+      });
+      if (found) return found;
+    }
+    return null;
+  }
+
+  function denyTransition(container, key, from, to, event, element) {
+    container.dispatchEvent(new CustomEvent('htmx-r:transition-denied', {
+      detail: { key: key, from: from, to: to, event: event, element: element || container },
+      bubbles: true
+    }));
+  }
+
+  // Called by commitState before a write; false rejects the change
+  function machineAllows(container, key, from, to, element, origin) {
+    if (machineGuardsOff || historyReplaying || origin === 'remote' || from === to) return true;
+    var machine = machineFor(container, key);
+    if (!machine || findTransition(container, machine, from, null, to)) return true;
+
+    denyTransition(container, key, from, to, null, element);
+    return false;
+  }
+
+  // Every value the machine names, as a source state or a target
+  function machineStates(machine) {
+    var states = Object.keys(machine).filter(function(name) { return name !== '*'; });
+    Object.keys(machine).forEach(function(name) {
+      Object.keys(machine[name].on).forEach(function(event) {
+        machine[name].on[event].forEach(function(t) {
+          if (states.indexOf(t.target) === -1) states.push(t.target);
+        });
+      });
+    });
+    return states;
+  }
+
+  // Values restored from the URL, storage or back/forward navigation skip the
+  // guards, so they must at least be a state of the machine; anything else
+  // falls back to the server-rendered value
+  function machineRestoreValue(container, key, value) {
+    var machine = machineFor(container, key);
+    if (!machine || machineStates(machine).indexOf(value) !== -1) return value;
+
+    console.warn('HTMX-R: Ignoring restored value "' + value + '" for "' + key + '": not a state of its machine');
+    return initialValue(container, key);
+  }
+
+  function unguarded(fn) {
+    machineGuardsOff++;
+    try {
+      return fn();
+    } finally {
+      machineGuardsOff--;
+    }
+  }
+
+  function runMachineAction(container, action) {
+    if (action.set) {
+      Object.keys(action.set).forEach(function(key) {
+        var target = findStateContainer(container, key);
+        if (target) commitState(target, key, action.set[key], container, 'local', 'machine');
+      });
+    }
+    if (action.request) {
+      var request = typeof action.request === 'string' ? action.request.trim().split(/\s+/) : null;
+      var method = request ? request[0] : action.request.method || 'GET';
+      var url = request ? request[1] : action.request.url;
+      var target = request ? request[2] : action.request.target;
+      htmx.ajax(method.toUpperCase(), url, {
+        source: container,
+        target: target || container,
+        swap: target ? (request ? 'innerHTML' : action.request.swap || 'innerHTML') : 'none'
+      });
+    }
+    if (action.trigger) htmx.trigger(container, action.trigger);
+  }
+
+  // Called by commitState after a write: exit actions of the old value, entry of the new
+  function runMachineActions(container, key, from, to) {
+    if (from === to) return;
+    var machine = machineFor(container, key);
+    if (!machine) return;
+
+    var actions = [].concat(machine[from] && machine[from].exit || [], machine[to] && machine[to].entry || []);
+    actions.forEach(function(action) { runMachineAction(container, action); });
+  }
+
+  function sendMachineEvent(element, key, event, source) {
+    var container = findStateContainer(element, key);
+    var machine = container && machineFor(container, key);
+    if (!machine) {
+      console.warn('HTMX-R: No state machine for "' + key + '"');
+      return false;
+    }
+
+    var from = readStateString(container, key);
+    var transition = findTransition(container, machine, from, event);
+    if (!transition) {
+      denyTransition(container, key, from, null, event, element);
+      return false;
+    }
+    return commitState(container, key, transition.target, element, 'local', source);
+  }
+
+  document.addEventListener('click', function(e) {
+    var sender = e.target.closest('[hx-state-send]');
+    if (!sender) return;
+
+    var send = sender.getAttribute('hx-state-send');
+    var colon = send.lastIndexOf(':');
+    if (colon === -1) return;
+    sendMachineEvent(sender, send.slice(0, colon).trim(), send.slice(colon + 1).trim(), e.type);
+  });
+
+  // ── SERVER-DRIVEN STATE (v1.3) ──────────────────────────────────────
+
+  /**
+   * HX-State response header and htmxR:setState trigger  —  server → state
+   *
+   * Lets a handler update client state without hx-state-on-response. Values go
+   * through commitState, so persistence, URL sync and events apply as usual.
+   *
+   * Payload formats (header value or HX-Trigger event detail):
+   *   {"step": "2", "panel": "closed"}                     by key
+   *   {"target": "#checkout", "values": {"step": "2"}}     by CSS selector
+   *   {"id": "cart", "values": {"open": "false"}}          by container id
+   *   [{"id": "cart", "values": {...}}, {"theme": "dark"}] several at once
+   *
+   * Examples:
+   *   HX-State: {"step":"2","panel":"closed"}
+   *   HX-Trigger: {"htmxR:setState": {"target": "#wizard", "values": {"step": "3"}}}
+   *
+   * By key, each key resolves to the nearest container around the requesting
+   * element, or to every container on the page declaring it. With a target or
+   * id, each key resolves from the matched element(s).
+   */
+  function applyServerState(element, payload) {
+    if (!payload || typeof payload !== 'object') {
+      console.warn('HTMX-R: Server state must be an object or an array, got', payload);
+      return;
+    }
+
+    if (Array.isArray(payload)) {
+      payload.forEach(function(entry) { applyServerState(element, entry); });
+      return;
+    }
+
+    var scoped = 'values' in payload;
+    if (scoped && (!payload.values || typeof payload.values !== 'object' || Array.isArray(payload.values))) {
+      console.warn('HTMX-R: Server state "values" must be an object, got', payload.values);
+      return;
+    }
+    var values = scoped ? payload.values : payload;
+    var roots = null;
+
+    if (scoped && payload.id) {
+      var byId = document.getElementById(payload.id);
+      roots = byId ? [byId] : [];
+    } else if (scoped && payload.target) {
+      roots = Array.from(document.querySelectorAll(payload.target));
+    }
+
+    Object.keys(values).forEach(function(key) {
+      var value = values[key];
+      // Skip non-scalars (htmx adds the triggering element to event details as "elt")
+      if (value === null || typeof value === 'object') return;
+
+      var containers;
+      if (roots) {
+        containers = roots.map(function(root) { return findStateContainer(root, key); });
+      } else {
+        var nearest = element && element.closest ? findStateContainer(element, key) : null;
+        containers = nearest ? [nearest] : Array.from(document.querySelectorAll('[data-state-' + key + ']'));
+      }
+
+      containers.forEach(function(container) {
+        if (container) commitState(container, key, value, element || container, 'local', 'server');
+      });
+    });
+  }
+
+  // Read the HX-State header of a completed request
+  function applyStateHeader(element, xhr) {
+    var header = xhr && xhr.getResponseHeader && xhr.getResponseHeader('HX-State');
+    if (!header) return;
+
+    try {
+      applyServerState(element, JSON.parse(header));
+    } catch (e) {
+      console.warn('HTMX-R: Invalid HX-State header', e);
+    }
+  }
+
+  // HX-Trigger: {"htmxR:setState": {...}} — htmx dispatches it on the requesting element
+  document.addEventListener('htmxR:setState', function(e) {
+    try {
+      applyServerState(e.target, e.detail);
+    } catch (err) {
+      console.warn('HTMX-R: Invalid htmxR:setState payload', err);
+    }
+  });
+
+  // ── REQUEST STATE (v1.3) ────────────────────────────────────────────
+
+  /**
+   * hx-state-include  —  send state values with HTMX requests
+   *
+   * Adds the current value of each listed key (resolved from the nearest
+   * container declaring it) to the request during htmx:configRequest. The
+   * attribute is inherited: put it on the requesting element or any ancestor.
+   *
+   * Usage:
+   *   hx-state-include="tab, filter, page"          ?tab=…&filter=…&page=…
+   *   hx-state-include="tab:t, page:p"              rename: ?t=…&p=…
+   *   hx-state-include-prefix="state_"              prefix every name: ?state_tab=…
+   *   hx-state-include-as="headers"                 send as headers instead
+   *                                                 (default prefix "X-State-")
+   *
+   * Example — paginated table keeps its tab and filter:
+   *   <div data-state-tab="open" data-state-filter="" hx-ext="reactive">
+   *     <button hx-get="/issues" hx-state-include="tab, filter">Next</button>
+   *   </div>
+   */
+  function includeStateInRequest(element, detail) {
+    var source = element.closest('[hx-state-include]');
+    if (!source) return;
+
+    var asHeaders = source.getAttribute('hx-state-include-as') === 'headers';
+    var prefix = source.getAttribute('hx-state-include-prefix');
+    if (prefix === null) prefix = asHeaders ? 'X-State-' : '';
+
+    source.getAttribute('hx-state-include').split(',').forEach(function(entry) {
+      var colonIdx = entry.indexOf(':');
+      var key  = (colonIdx === -1 ? entry : entry.slice(0, colonIdx)).trim();
+      var name = (colonIdx === -1 ? entry : entry.slice(colonIdx + 1)).trim();
+      if (!key) return;
+
+      var container = findStateContainer(element, key);
+      if (!container) return;
+
+      var value = readStateString(container, key);
+      if (asHeaders) {
+        detail.headers[prefix + name] = value;
+      } else {
+        detail.parameters[prefix + name] = value;
+      }
+    });
+  }
+
+  // ── CROSS-TAB SYNC (v1.3) ───────────────────────────────────────────
+
+  /**
+   * hx-state-broadcast  —  share state changes with other tabs
+   *
+   * Changes made through the htmx-r setters are posted to other same-origin
+   * tabs over BroadcastChannel (or the storage event where it is missing).
+   * Receiving tabs apply them through commitState, so persistence and
+   * htmx-r:state-change behave as for a local change; the event detail
+   * carries origin: "remote" instead of "local". Remote changes don't touch
+   * the receiving tab's URL (no extra browser history entries) or its undo
+   * history.
+   *
+   * Usage:
+   *   <html data-state-theme="dark" hx-state-broadcast="true">        all keys
+   *   <aside data-state-open="true" hx-state-broadcast="open" id="nav"> only "open"
+   *
+   * Containers with an id only exchange changes with the container of the
+   * same id in other tabs; containers without one only with other containers
+   * without one that declare the key.
+   * Changes received from another tab are never re-broadcast, and values
+   * that already match are ignored, so tabs cannot echo changes back and forth.
+   */
+  var BROADCAST_NAME = 'htmx-r:broadcast';
+  var tabId = Math.random().toString(36).slice(2);
+  var broadcastChannel;
+
+  function broadcastsKey(container, key) {
+    var attr = container.getAttribute('hx-state-broadcast');
+    if (!attr || attr === 'false') return false;
+    if (attr === 'true') return true;
+    return attr.split(',').map(function(k) { return k.trim(); }).indexOf(key) !== -1;
+  }
+
+  function getBroadcastChannel() {
+    if (broadcastChannel === undefined) {
+      broadcastChannel = typeof BroadcastChannel === 'function' ? new BroadcastChannel(BROADCAST_NAME) : null;
+      if (broadcastChannel) {
+        broadcastChannel.onmessage = function(e) { receiveBroadcast(e.data); };
+      }
+    }
+    return broadcastChannel;
+  }
+
+  function broadcastState(container, key, value) {
+    if (!broadcastsKey(container, key)) return;
+
+    var message = { tab: tabId, id: container.id || null, key: key, value: value, at: Date.now() };
+
+    try {
+      var channel = getBroadcastChannel();
+      if (channel) {
+        channel.postMessage(message);
+      } else {
+        // storage events fire in every other tab; removing right away keeps storage clean
+        localStorage.setItem(BROADCAST_NAME, JSON.stringify(message));
+        localStorage.removeItem(BROADCAST_NAME);
+      }
+    } catch (e) {
+      console.warn('HTMX-R: Failed to broadcast state', e);
+    }
+  }
+
+  function receiveBroadcast(message) {
+    if (!message || message.tab === tabId) return;
+
+    document.querySelectorAll('[hx-state-broadcast]').forEach(function(container) {
+      if ((container.id || null) !== (message.id || null)) return;
+      if (!container.hasAttribute('data-state-' + message.key)) return;
+      if (!broadcastsKey(container, message.key)) return;
+      if (container.getAttribute('data-state-' + message.key) === message.value) return;
+
+      commitState(container, message.key, message.value, container, 'remote');
+    });
+  }
+
+  window.addEventListener('storage', function(e) {
+    if (e.key !== BROADCAST_NAME || !e.newValue) return;
+    try {
+      receiveBroadcast(JSON.parse(e.newValue));
+    } catch (err) {
+      console.warn('HTMX-R: Ignoring malformed broadcast', err);
+    }
+  });
+
+  // Open the channel up front when the page has broadcasting containers, so
+  // this tab hears changes before it makes any of its own
+  function initBroadcast(containers) {
+    if (containers.some(function(c) { return c.hasAttribute('hx-state-broadcast'); })) {
+      getBroadcastChannel();
+    }
+  }
+
+  // ── STATE INSPECTOR (v1.3) ──────────────────────────────────────────
+
+  /**
+   * htmxR.debug(true) or ?htmxr-debug  —  state inspector overlay
+   *
+   * The overlay itself lives in js/htmx-r-debug.js (load it after this file)
+   * so it isn't shipped to every page. The core only keeps htmxR.debug and
+   * the read-only views the inspector needs, under htmxR._inspect.
+   */
+
+  // Bound elements whose value for key comes from container
+  function drivenElements(container, key) {
+    var selector = '[data-state-' + key + '], [' + COMPUTED_PREFIX + key + ']';
+    var driven = [];
+    var paths = bindingIndex.get(key);
+    if (!paths) return driven;
+    paths.forEach(function(bound) {
+      bound.forEach(function(el) {
+        var owner = el.closest(selector) || document.querySelector(selector);
+        if (owner === container && driven.indexOf(el) === -1) driven.push(el);
+      });
+    });
+    return driven;
+  }
+
+  // ── PROGRAMMATIC API (v1.3) ─────────────────────────────────────────
+
+  /**
+   * Helpers behind window.htmxR. Every API method accepts an element or a
+   * selector; keys resolve to the nearest container declaring them, so an
+   * element inside a container works as well as the container itself.
+   *
+   * Usage:
+   *   const off = htmxR.subscribe('#cart', 'items', (items, detail) => render(items));
+   *   htmxR.batch(() => { htmxR.setState('#cart', 'step', 'pay'); htmxR.setState('#cart', 'busy', true); });
+   *   htmxR.getAll('#cart');        // { step: 'pay', busy: true, items: [...] }
+   *   htmxR.reset('#cart', 'step'); // back to the server-rendered value
+   *   const saved = htmxR.snapshot(); ... htmxR.restore(saved);
+   */
+  function resolveElement(selectorOrEl) {
+    return typeof selectorOrEl === 'string' ? document.querySelector(selectorOrEl) : selectorOrEl;
+  }
+
+  function resolveContainer(selectorOrEl, key) {
+    var el = resolveElement(selectorOrEl);
+    if (!el) return null;
+    if (key) return findStateContainer(el, key);
+    while (el && el.nodeType === 1 && !isStateContainer(el)) el = el.parentElement;
+    return el || null;
+  }
+
+  // Resolved on every event so subscriptions survive htmx swaps
+  function subscribeState(selectorOrEl, key, callback) {
+    function listener(e) {
+      if (!pathsOverlap(e.detail.path, key)) return;
+      var container = resolveContainer(selectorOrEl, key);
+      if (container !== e.target) return;
+      callback(readState(container, key), e.detail);
+    }
+    document.addEventListener('htmx-r:state-change', listener);
+    return function unsubscribe() {
+      document.removeEventListener('htmx-r:state-change', listener);
+    };
+  }
+
+  // While a batch runs, state-change events are held back and one event per
+  // container and key is dispatched when it ends, carrying the key's final value
+  var pendingEvents = null;
+
+  function runBatch(fn) {
+    if (pendingEvents) return fn();
+
+    pendingEvents = new Map();
+    try {
+      return fn();
+    } finally {
+      var events = pendingEvents;
+      pendingEvents = null;
+      events.forEach(function(byKey, container) {
+        byKey.forEach(function(args, key) {
+          args[2] = container.getAttribute('data-state-' + key);
+          dispatchStateChange.apply(null, args);
+        });
+      });
+    }
+  }
+
+  // Typed values of every key (including computed keys) in a container
+  function allState(container) {
+    var state = {};
+    Array.from(container.attributes).forEach(function(attr) {
+      var key = stateKeyFromAttr(attr.name);
+      if (key) state[key] = readState(container, key);
+    });
+    return state;
+  }
+
+  // One undo entry and one event per key, whatever the number of keys
+  function resetState(container, key) {
+    var initial = initialStates.get(container) || {};
+    var keys = key ? [key] : Object.keys(initial);
+    return runBatch(function() {
+      return runTransaction(function() {
+        return unguarded(function() {
+          return keys.filter(function(k) { return k in initial; }).map(function(k) {
+            return commitState(container, k, initial[k], container, 'local', 'api');
+          }).every(Boolean);
+        });
+      });
+    });
+  }
+
+  // Raw values of every declared (non-computed) key on the page. Containers
+  // are matched back by id, or by document order when they have none.
+  function snapshotState() {
+    return findStateContainersIn(document.body).map(function(container, index) {
+      var state = {};
+      Array.from(container.attributes).forEach(function(attr) {
+        var key = stateKeyFromAttr(attr.name);
+        if (key && !container.hasAttribute(COMPUTED_PREFIX + key)) state[key] = attr.value;
+      });
+      return { id: container.id || null, index: index, state: state };
+    });
+  }
+
+  function restoreSnapshot(snapshot) {
+    var containers = findStateContainersIn(document.body);
+    runBatch(function() {
+      runTransaction(function() {
+        unguarded(function() {
+          (snapshot || []).forEach(function(entry) {
+            var container = entry.id ? document.getElementById(entry.id) : containers[entry.index];
+            if (!container) return;
+            Object.keys(entry.state).forEach(function(key) {
+              if (container.getAttribute('data-state-' + key) !== entry.state[key]) {
+                commitState(container, key, entry.state[key], container, 'local', 'api');
+              }
+            });
+          });
+        });
+      });
+    });
+  }
+
+  // ── INITIALIZATION ────────────────────────────────────────────────────
+
+  // Reserved names (see "Upgrading to v1.3" above) used the old way, as a key:
+  // the binding names no key on the page, or a type/machine has no key to apply to
+  var reservedChecked = new WeakSet();
+
+  function looksLikeReservedKey(el, name) {
+    var value = el.getAttribute(name);
+    if (name === 'data-state-text' || name === 'data-state-value' || name === 'data-state-each') {
+      var key = rootKey(name === 'data-state-each' ? parseEach(value).key : value.trim());
+      if (el.closest('[data-htmxr-item]')) return false;
+      try {
+        return !document.querySelector('[data-state-' + key + ']');
+      } catch (e) {
+        return true;   // not even a valid key name
+      }
+    }
+    if (name === 'data-state-interval') {
+      return !splitTopLevel(value).some(function(part) { return parseTimed(part); });
+    }
+    var prefix = name.indexOf('data-state-type-') === 0 ? 'data-state-type-' : 'data-state-machine-';
+    return name.indexOf(prefix) === 0 && !el.hasAttribute('data-state-' + name.slice(prefix.length));
+  }
+
+  function warnReservedKeys(root) {
+    if (!root || !root.nodeType) return;
+    var snapshot = document.evaluate(CONTAINER_XPATH, root, null, XPathResult.ORDERED_NODE_SNAPSHOT_TYPE, null);
+
+    for (var i = 0; i < snapshot.snapshotLength; i++) {
+      var el = snapshot.snapshotItem(i);
+      if (reservedChecked.has(el)) continue;
+      reservedChecked.add(el);
+      Array.from(el.attributes).forEach(function(attr) {
+        if (attr.name.indexOf('data-state-') !== 0 || stateKeyFromAttr(attr.name)) return;
+        if (!looksLikeReservedKey(el, attr.name)) return;
+        console.warn('HTMX-R: ' + attr.name + '="' + attr.value + '" has no state key to apply to. ' +
+          attr.name + ' is reserved since v1.3; rename it if it was meant as a key');
+      });
+    }
+  }
+
+  // Elements carrying any data-state-* attribute (one native XPath query
+  // instead of walking every element's attributes)
+  var CONTAINER_XPATH = "descendant-or-self::*[@*[starts-with(name(), 'data-state-')]]";
+
+  function isStateContainer(el) {
+    for (let i = 0; i < el.attributes.length; i++) {
+      const name = el.attributes[i].name;
+      if (stateKeyFromAttr(name) || name.indexOf(COMPUTED_PREFIX) === 0) return true;
+    }
+    return false;
+  }
+
+  // Find all state containers in a subtree (universal — no hardcoded names)
+  function findStateContainersIn(root) {
+    const containers = [];
+    if (!root || !root.nodeType) return containers;
+
+    const snapshot = document.evaluate(CONTAINER_XPATH, root, null, XPathResult.ORDERED_NODE_SNAPSHOT_TYPE, null);
+    for (let i = 0; i < snapshot.snapshotLength; i++) {
+      const el = snapshot.snapshotItem(i);
+      if (isStateContainer(el)) containers.push(el);
+    }
+    return containers;
+  }
+
+  // Initialize state containers: restore persisted state and trigger sync
+  function initStateContainers(containers) {
+    initBroadcast(containers);
+
+    containers.forEach(container => {
+      // Remember server-rendered values (URL defaults)
+      captureInitialState(container);
+
+      // Restore from URL first (highest priority)
+      restoreFromURL(container);
+
+      // Then restore from localStorage
+      restoreState(container);
+
+      // Derive computed keys from the restored values
+      initComputed(container);
+
+      // Start data-state-interval timers
+      initIntervals(container);
+
+      // Trigger initial state sync for all state attributes
+      // This fires htmx-r:state-change for each key, which drives
+      // data-when, data-state-text, data-class-when, and data-state-value
+      Array.from(container.attributes).forEach(attr => {
+        const key = stateKeyFromAttr(attr.name);
+        if (key) {
+          dispatchStateChange(container, key, attr.value, container, 'local', key, 'init');
+        }
+      });
+    });
+  }
+
+  // Initialize state-dependent elements on page load
+  document.addEventListener('DOMContentLoaded', function() {
+    indexBindings(document);
+    observeBindings();
+    initStateOn(document);
+    initHotkeys(document);
+    initStateContainers(findStateContainersIn(document));
+    warnReservedKeys(document);
+  });
+
+  // Re-initialize after HTMX swaps (new content may have state containers)
+  document.addEventListener('htmx:afterSettle', function(e) {
+    const target = e.detail.target || e.target;
+    indexBindings(target);
+    initStateOn(target);
+    initHotkeys(target);
+    initStateContainers(findStateContainersIn(target));
+    warnReservedKeys(target);
+  });
+
+  // Helper: Get/set state programmatically. element may be an element or a selector.
+  window.htmxR = {
+    // key may be a dot path ("user.name"); paths return the value inside the JSON
+    getState: function(element, key) {
+      const container = resolveContainer(element, key);
+      if (!container) return null;
+      return rootKey(key) === key ? container.getAttribute('data-state-' + key) : readState(container, key);
+    },
+
+    setState: function(element, key, value) {
+      const container = resolveContainer(element, key);
+      if (container) {
+        commitState(container, key, value, resolveElement(element), 'local', 'api');
+      }
+    },
+
+    // Shallow-merge an object into the JSON held by a key or path
+    patchState: function(element, key, partial) {
+      const container = resolveContainer(element, key);
+      if (!container) return;
+
+      const current = parseStructured(readState(container, key));
+      const base = current && typeof current === 'object' && !Array.isArray(current) ? current : {};
+      commitState(container, key, Object.assign({}, base, partial), resolveElement(element), 'local', 'api');
+    },
+
+    // Call callback(value, detail) whenever key (or a path inside it) changes;
+    // returns an unsubscribe function
+    subscribe: function(element, key, callback) {
+      return subscribeState(element, key, callback);
+    },
+
+    // Run fn, dispatching one state-change per changed key once it returns
+    batch: function(fn) {
+      return runBatch(fn);
+    },
+
+    // All keys of a container as typed values
+    getAll: function(element) {
+      const container = resolveContainer(element);
+      return container ? allState(container) : {};
+    },
+
+    // Restore one key, or every key, to its server-rendered value
+    reset: function(element, key) {
+      const container = resolveContainer(element, key);
+      return container ? resetState(container, key) : false;
+    },
+
+    // Capture / re-apply the declared state of every container on the page
+    snapshot: function() {
+      return snapshotState();
+    },
+
+    restore: function(snapshot) {
+      restoreSnapshot(snapshot);
+    },
+
+    // Undo/redo the last recorded change of the container holding element
+    undo: function(element) {
+      return stepHistory(historyContainerFor(element), 'undo');
+    },
+
+    redo: function(element) {
+      return stepHistory(historyContainerFor(element), 'redo');
+    },
+
+    // Record every change made during fn as a single undo entry
+    transaction: function(fn) {
+      return runTransaction(fn);
+    },
+
+    // Open (true) or close (false) the state inspector overlay (js/htmx-r-debug.js)
+    debug: function(enabled) {
+      if (!window.HtmxRDebug) {
+        console.warn('HTMX-R: htmxR.debug() needs js/htmx-r-debug.js');
+        return;
       }
+      window.HtmxRDebug.toggle(enabled !== false);
+    },
+
+    // Read-only views used by js/htmx-r-debug.js; not part of the public API
+    _inspect: {
+      containers: function() { return findStateContainersIn(document.body); },
+      drivenElements: drivenElements
+    },
+
+    // Send a named event to the state machine guarding key
+    send: function(element, key, event) {
+      const el = resolveElement(element);
+      return el ? sendMachineEvent(el, key, event, 'api') : false;
+    },
+
+    // Register a validator for hx-state-validate="{name}"
+    registerValidator: function(name, fn) {
+      validators[name] = fn;
+    },
+
+    // Register a storage adapter for hx-state-persist="{name}"
+    registerStorage: function(name, adapter) {
+      storageAdapters[name] = adapter;
     }
   };
 
-  console.log('✓ HTMX-R (Reactive) v1.2 loaded — popover, hover, key-nav, transitions');
+  console.log('✓ HTMX-R (Reactive) v1.3 loaded');
 })();